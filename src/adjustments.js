@@ -0,0 +1,58 @@
+/**
+ * Per-link adjustments
+ * Optional controls around one LUT of the chain: exposure (in stops, in
+ * linear light) and offset on the signal going in, then saturation,
+ * contrast and an RGB mixing matrix on what comes out. They are baked into
+ * the composite LUT with their link, so the preview and every export carry
+ * them, and the link's intensity fades them together with the LUT.
+ */
+import { getTransfer, LUMA } from './color-spaces';
+
+export const DEFAULT_ADJUSTMENTS = {
+    exposure: 0,
+    offset: 0,
+    saturation: 1,
+    contrast: 1,
+    // Row i gives output channel i as a weighted sum of the input channels
+    mix: [[1, 0, 0], [0, 1, 0], [0, 0, 1]]
+};
+
+// Contrast pivots on middle grey as encoded in the LUT's output space
+const MIDDLE_GREY = 0.18;
+
+export function isDefaultAdjustments(adjust) {
+    if (!adjust) return true;
+    const { mix, ...scalars } = { ...DEFAULT_ADJUSTMENTS, ...adjust };
+    return Object.keys(scalars).every(key => scalars[key] === DEFAULT_ADJUSTMENTS[key])
+        && mix.every((row, i) => row.every((v, j) => v === DEFAULT_ADJUSTMENTS.mix[i][j]));
+}
+
+/**
+ * Wrap a link's (r, g, b, out) sampler with its adjustments. inputSpace and
+ * outputSpace are the spaces of the signal entering and leaving the LUT,
+ * which decide what linear light and middle grey mean. Returns the sampler
+ * itself when there is nothing to adjust.
+ */
+export function withAdjustments(apply, adjust, inputSpace, outputSpace) {
+    if (isDefaultAdjustments(adjust)) return apply;
+    const { exposure, offset, saturation, contrast, mix } = { ...DEFAULT_ADJUSTMENTS, ...adjust };
+
+    const input = getTransfer(inputSpace);
+    const gain = 2 ** exposure;
+    const expose = exposure === 0 ? v => v + offset : v => input.encode(input.decode(v) * gain) + offset;
+    const pivot = getTransfer(outputSpace).encode(MIDDLE_GREY);
+
+    return (r, g, b, out) => {
+        apply(expose(r), expose(g), expose(b), out);
+
+        const luma = LUMA[0] * out[0] + LUMA[1] * out[1] + LUMA[2] * out[2];
+        const sr = pivot + (luma + (out[0] - luma) * saturation - pivot) * contrast;
+        const sg = pivot + (luma + (out[1] - luma) * saturation - pivot) * contrast;
+        const sb = pivot + (luma + (out[2] - luma) * saturation - pivot) * contrast;
+
+        out[0] = mix[0][0] * sr + mix[0][1] * sg + mix[0][2] * sb;
+        out[1] = mix[1][0] * sr + mix[1][1] * sg + mix[1][2] * sb;
+        out[2] = mix[2][0] * sr + mix[2][1] * sg + mix[2][2] * sb;
+        return out;
+    };
+}
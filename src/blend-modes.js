@@ -0,0 +1,72 @@
+/**
+ * Blend modes
+ * How a link's output is combined with the signal it received before the
+ * link's intensity mixes the two. Modes work on the encoded values of the
+ * signal's space, like layer blending in an editor, and nothing is clipped.
+ * Luminosity and color split the signal with Rec.709 luma weights.
+ */
+import { LUMA } from './color-spaces';
+
+export const BLEND_MODES = [
+    { id: 'normal', label: 'Normal' },
+    { id: 'luminosity', label: 'Luminosity' },
+    { id: 'color', label: 'Color' },
+    { id: 'multiply', label: 'Multiply' },
+    { id: 'screen', label: 'Screen' },
+    { id: 'soft-light', label: 'Soft light' },
+    { id: 'overlay', label: 'Overlay' }
+];
+
+// Per-channel modes: base is the incoming value, layer the LUT's output
+const CHANNEL_BLENDS = {
+    multiply: (base, layer) => base * layer,
+    screen: (base, layer) => base + layer - base * layer,
+    overlay: (base, layer) => (base <= 0.5 ? 2 * base * layer : 1 - 2 * (1 - base) * (1 - layer)),
+    // W3C compositing formula
+    'soft-light': (base, layer) => {
+        if (layer <= 0.5) return base - (1 - 2 * layer) * base * (1 - base);
+        const d = base <= 0.25 ? ((16 * base - 12) * base + 4) * base : Math.sqrt(Math.max(0, base));
+        return base + (2 * layer - 1) * (d - base);
+    }
+};
+
+export function getBlendMode(id) {
+    return BLEND_MODES.find(mode => mode.id === id) || BLEND_MODES[0];
+}
+
+/**
+ * A (r, g, b, out) function that replaces the layer colour in `out` with its
+ * blend over the base colour (r, g, b), or null for normal, which keeps the
+ * layer as it is.
+ */
+export function createBlend(id) {
+    if (!id || id === 'normal') return null;
+
+    if (id === 'luminosity' || id === 'color') {
+        // Shift one colour by the luma difference to the other
+        const keepBase = id === 'luminosity';
+        return (r, g, b, out) => {
+            const base = LUMA[0] * r + LUMA[1] * g + LUMA[2] * b;
+            const layer = LUMA[0] * out[0] + LUMA[1] * out[1] + LUMA[2] * out[2];
+            if (keepBase) {
+                out[0] = r + layer - base;
+                out[1] = g + layer - base;
+                out[2] = b + layer - base;
+            } else {
+                out[0] += base - layer;
+                out[1] += base - layer;
+                out[2] += base - layer;
+            }
+            return out;
+        };
+    }
+
+    const blend = CHANNEL_BLENDS[id];
+    if (!blend) throw new Error(`Unknown blend mode: ${id}`);
+    return (r, g, b, out) => {
+        out[0] = blend(r, out[0]);
+        out[1] = blend(g, out[1]);
+        out[2] = blend(b, out[2]);
+        return out;
+    };
+}
@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+/**
+ * lut-merge command line
+ * Bakes a chain of LUT files into one LUT, or grades images with the chain,
+ * through the same core as the web app:
+ *
+ *   lut-merge a.cube:0.8 b.cube -o out.cube --size 65
+ *   lut-merge --recipe look.json --apply photo.exr --apply scan.tif -o graded/
+ *
+ * Built with `npm run build:cli`, which bundles this file for Node; `npm install`
+ * runs it through the prepare script, so `npm link` works from a checkout.
+ */
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { listFormats } from './lut-formats';
+import { DEFAULT_SETTINGS, validateLUT, composeLUTs, exportChain, applyLUTToImage } from './lut-core';
+import { describeIssue } from './lut-parser';
+import { parseRecipe } from './recipe';
+import { COLOR_SPACES } from './color-spaces';
+import { decodePNG, decodeFloatImage, encodePNG16, encodeEXR } from './image-io';
+
+const USAGE = `Usage:
+  lut-merge <lut>[:intensity] ... -o <out.cube> [options]
+  lut-merge <lut>[:intensity] ... --apply <image> ... -o <directory> [options]
+
+LUTs are applied in order; intensity is 0-1 (default 1).
+
+Options:
+  -o, --output <path>        LUT file to write, or the directory for graded images
+  -r, --recipe <file>        start from a chain recipe saved by the web app
+  -s, --size <n>             lattice size of the merged cube (default ${DEFAULT_SETTINGS.size})
+  -f, --format <id>          ${listFormats().map(f => f.id).join(', ')} (default: from the output extension)
+      --title <text>         title stored in the LUT (default "${DEFAULT_SETTINGS.title}")
+      --interpolation <mode> trilinear or tetrahedral (default ${DEFAULT_SETTINGS.interpolation})
+      --input-space <id>     color space of the source (default ${DEFAULT_SETTINGS.inputSpace})
+      --output-space <id>    display transform after the chain (default ${DEFAULT_SETTINGS.outputSpace})
+  -a, --apply <image>        grade an image instead of writing a LUT; repeatable
+      --image-format <ext>   png (16-bit) or exr (default: exr for linear sources, png otherwise)
+  -h, --help                 show this help
+
+Color spaces: ${COLOR_SPACES.map(space => space.id).join(', ')}
+Images: 8/16-bit PNG, TIFF, EXR, HDR and DNG`;
+
+// Hald CLUTs are PNGs decoded and encoded through a canvas
+const BROWSER_ONLY_FORMATS = ['hald'];
+
+class UsageError extends Error {}
+
+function fileStem(name) {
+    return name.includes('.') ? name.slice(0, name.lastIndexOf('.')) : name;
+}
+
+function formatForPath(file) {
+    const ext = path.extname(file).slice(1).toLowerCase();
+    return listFormats().find(format => format.extensions.includes(ext)) || null;
+}
+
+// "look.cube:0.8" -> file and intensity; a colon without a number is part of the path
+function parseLinkArgument(arg) {
+    const match = /^(.+):([0-9]*\.?[0-9]+)$/.exec(arg);
+    if (!match) return { file: arg, intensity: 1 };
+    const intensity = parseFloat(match[2]);
+    if (intensity > 1) throw new UsageError(`Intensity must be between 0 and 1: ${arg}`);
+    return { file: match[1], intensity };
+}
+
+async function loadLink(arg) {
+    const { file, intensity } = parseLinkArgument(arg);
+    const format = formatForPath(file);
+    if (format && BROWSER_ONLY_FORMATS.includes(format.id)) {
+        throw new Error(`${format.name} files can only be read in the web app: ${file}`);
+    }
+    const { lut, issues } = await validateLUT(path.basename(file), new Uint8Array(await readFile(file)));
+    const error = issues.find(issue => issue.severity === 'error');
+    if (error) throw new Error(`${file}: ${describeIssue(error)}`);
+    issues.filter(issue => issue.severity === 'warning')
+        .forEach(issue => console.warn(`lut-merge: ${file}: warning: ${describeIssue(issue)}`));
+    return { lut: { data: lut }, intensity };
+}
+
+async function loadRecipe(file) {
+    const recipe = await parseRecipe(await readFile(file, 'utf8'));
+    const links = recipe.chain
+        .filter(link => !link.bypass)
+        .map(link => ({ ...link, lut: recipe.luts.find(lut => lut.hash === link.lut) }));
+    return { links, exportSettings: recipe.exportSettings || {} };
+}
+
+async function readImage(file) {
+    const bytes = await readFile(file);
+    const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+    const name = path.basename(file);
+    if (path.extname(name).toLowerCase() === '.png') return decodePNG(buffer);
+    const image = await decodeFloatImage(new Blob([buffer]), name);
+    if (!image) throw new Error(`Unsupported image type: ${file}`);
+    return image;
+}
+
+async function writeOutput(file, output) {
+    const bytes = typeof output === 'string' ? output : Buffer.from(await output.arrayBuffer());
+    await writeFile(file, bytes);
+}
+
+async function gradeImages(files, links, settings, options) {
+    const merged = composeLUTs(links, settings.size, settings);
+    const directory = options.output || '.';
+    await mkdir(directory, { recursive: true });
+
+    for (const file of files) {
+        const image = await readImage(file);
+        const graded = applyLUTToImage(image, merged, settings.interpolation);
+        const ext = options['image-format'] || (image.linear ? 'exr' : 'png');
+        const blob = ext === 'exr'
+            ? encodeEXR(graded.width, graded.height, graded.data)
+            : await encodePNG16(graded.width, graded.height, graded.data);
+        const target = path.join(directory, `edited_${fileStem(path.basename(file))}.${ext}`);
+        await writeOutput(target, blob);
+        console.log(`${file} -> ${target}`);
+    }
+}
+
+async function main(argv) {
+    const { values: options, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            output: { type: 'string', short: 'o' },
+            recipe: { type: 'string', short: 'r' },
+            size: { type: 'string', short: 's' },
+            format: { type: 'string', short: 'f' },
+            title: { type: 'string' },
+            interpolation: { type: 'string' },
+            'input-space': { type: 'string' },
+            'output-space': { type: 'string' },
+            apply: { type: 'string', short: 'a', multiple: true },
+            'image-format': { type: 'string' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    // Recipe settings first, then anything given on the command line
+    const recipe = options.recipe ? await loadRecipe(options.recipe) : { links: [], exportSettings: {} };
+    const links = [...recipe.links, ...await Promise.all(positionals.map(loadLink))];
+    if (links.length === 0) throw new UsageError('No LUTs given');
+
+    const outputFormat = options.output && !options.apply ? formatForPath(options.output) : null;
+    const settings = {
+        ...DEFAULT_SETTINGS,
+        ...recipe.exportSettings,
+        ...(outputFormat && { format: outputFormat.id }),
+        ...(options.format && { format: options.format }),
+        ...(options.size && { size: Number(options.size) }),
+        ...(options.title && { title: options.title }),
+        ...(options.interpolation && { interpolation: options.interpolation }),
+        ...(options['input-space'] && { inputSpace: options['input-space'] }),
+        ...(options['output-space'] && { outputSpace: options['output-space'] })
+    };
+
+    if (!Number.isInteger(settings.size) || settings.size < 2 || settings.size > 256) {
+        throw new UsageError(`Invalid size: ${options.size ?? settings.size}; expected a whole number from 2 to 256`);
+    }
+    if (!['trilinear', 'tetrahedral'].includes(settings.interpolation)) {
+        throw new UsageError(`Unknown interpolation: ${settings.interpolation}`);
+    }
+    for (const space of [settings.inputSpace, settings.outputSpace]) {
+        if (!COLOR_SPACES.some(s => s.id === space)) throw new UsageError(`Unknown color space: ${space}`);
+    }
+    if (options['image-format'] && !['png', 'exr'].includes(options['image-format'])) {
+        throw new UsageError(`Unknown image format: ${options['image-format']}`);
+    }
+
+    if (options.apply) {
+        await gradeImages(options.apply, links, settings, options);
+        return;
+    }
+
+    if (!options.output) throw new UsageError('No output file given (-o)');
+    if (BROWSER_ONLY_FORMATS.includes(settings.format)) {
+        throw new Error(`The ${settings.format} format can only be written by the web app`);
+    }
+    await writeOutput(options.output, await exportChain(links, settings));
+}
+
+main(process.argv.slice(2)).catch(err => {
+    console.error(`lut-merge: ${err.message}`);
+    if (err instanceof UsageError || err.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') console.error(`\n${USAGE}`);
+    process.exitCode = err instanceof UsageError ? 2 : 1;
+});
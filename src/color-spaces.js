@@ -0,0 +1,131 @@
+/**
+ * Colour spaces
+ * Each space pairs a gamut (primaries, all D65 here so no chromatic
+ * adaptation is needed) with a transfer function. Conversions decode to
+ * linear light, change primaries through XYZ and encode again. Values are
+ * not clipped, so out-of-gamut colours survive until a LUT clamps them.
+ */
+
+const D65 = [0.3127, 0.3290];
+
+// Rec.709 luma weights, shared by everything that splits tone from colour
+export const LUMA = [0.2126, 0.7152, 0.0722];
+
+const GAMUTS = {
+    rec709: [[0.64, 0.33], [0.30, 0.60], [0.15, 0.06]],
+    p3: [[0.680, 0.320], [0.265, 0.690], [0.150, 0.060]],
+    awg3: [[0.6840, 0.3130], [0.2210, 0.8480], [0.0861, -0.1020]],
+    sgamut3cine: [[0.766, 0.275], [0.225, 0.800], [0.089, -0.087]]
+};
+
+// Curves work on one channel; negative input is mirrored where the curve is a power law
+const TRANSFERS = {
+    linear: {
+        decode: v => v,
+        encode: v => v
+    },
+    srgb: {
+        decode: v => Math.sign(v) * (Math.abs(v) <= 0.04045 ? Math.abs(v) / 12.92 : ((Math.abs(v) + 0.055) / 1.055) ** 2.4),
+        encode: v => Math.sign(v) * (Math.abs(v) <= 0.0031308 ? Math.abs(v) * 12.92 : 1.055 * Math.abs(v) ** (1 / 2.4) - 0.055)
+    },
+    rec709: {
+        decode: v => Math.sign(v) * (Math.abs(v) < 0.081 ? Math.abs(v) / 4.5 : ((Math.abs(v) + 0.099) / 1.099) ** (1 / 0.45)),
+        encode: v => Math.sign(v) * (Math.abs(v) < 0.018 ? Math.abs(v) * 4.5 : 1.099 * Math.abs(v) ** 0.45 - 0.099)
+    },
+    // ARRI LogC3 at EI 800
+    logc3: {
+        decode: v => v > 0.149658 ? (10 ** ((v - 0.385537) / 0.247190) - 0.052272) / 5.555556 : (v - 0.092809) / 5.367655,
+        encode: v => v > 0.010591 ? 0.247190 * Math.log10(5.555556 * v + 0.052272) + 0.385537 : 5.367655 * v + 0.092809
+    },
+    slog3: {
+        decode: v => v >= 171.2102946929 / 1023
+            ? 10 ** ((v * 1023 - 420) / 261.5) * 0.19 - 0.01
+            : (v * 1023 - 95) * 0.01125 / (171.2102946929 - 95),
+        encode: v => v >= 0.01125
+            ? (420 + Math.log10((v + 0.01) / 0.19) * 261.5) / 1023
+            : (v * (171.2102946929 - 95) / 0.01125 + 95) / 1023
+    }
+};
+
+// display: offered as an output (display) transform
+export const COLOR_SPACES = [
+    { id: 'srgb', label: 'sRGB', gamut: 'rec709', transfer: 'srgb', display: true },
+    { id: 'display-p3', label: 'Display P3', gamut: 'p3', transfer: 'srgb', display: true },
+    { id: 'rec709', label: 'Rec.709', gamut: 'rec709', transfer: 'rec709', display: true },
+    { id: 'linear-rec709', label: 'Linear Rec.709', gamut: 'rec709', transfer: 'linear' },
+    { id: 'logc3', label: 'ARRI LogC3 (AWG3)', gamut: 'awg3', transfer: 'logc3' },
+    { id: 'slog3', label: 'Sony S-Log3 (S-Gamut3.Cine)', gamut: 'sgamut3cine', transfer: 'slog3' }
+];
+
+export function getColorSpace(id) {
+    return COLOR_SPACES.find(space => space.id === id) || null;
+}
+
+// A space's transfer curve as { decode, encode }; unknown ids are treated as linear
+export function getTransfer(id) {
+    const space = getColorSpace(id);
+    return TRANSFERS[space ? space.transfer : 'linear'];
+}
+
+export function multiplyMatrices(a, b) {
+    return a.map(row => [0, 1, 2].map(j => row[0] * b[0][j] + row[1] * b[1][j] + row[2] * b[2][j]));
+}
+
+export function invertMatrix(m) {
+    const [[a, b, c], [d, e, f], [g, h, i]] = m;
+    const det = a * (e * i - f * h) - b * (d * i - f * g) + c * (d * h - e * g);
+    return [
+        [(e * i - f * h) / det, (c * h - b * i) / det, (b * f - c * e) / det],
+        [(f * g - d * i) / det, (a * i - c * g) / det, (c * d - a * f) / det],
+        [(d * h - e * g) / det, (b * g - a * h) / det, (a * e - b * d) / det]
+    ];
+}
+
+// Normalised primary matrix: linear RGB to XYZ for the given primaries and white point
+function rgbToXYZ(primaries, white = D65) {
+    const xyz = ([x, y]) => [x / y, 1, (1 - x - y) / y];
+    const columns = primaries.map(xyz);
+    const P = [0, 1, 2].map(row => columns.map(column => column[row]));
+    const W = xyz(white);
+    const S = invertMatrix(P).map(row => row[0] * W[0] + row[1] * W[1] + row[2] * W[2]);
+    return P.map(row => row.map((v, j) => v * S[j]));
+}
+
+export function gamutToXYZ(gamut) {
+    return rgbToXYZ(GAMUTS[gamut]);
+}
+
+export function gamutMatrix(fromGamut, toGamut) {
+    return multiplyMatrices(invertMatrix(gamutToXYZ(toGamut)), gamutToXYZ(fromGamut));
+}
+
+/**
+ * Build an (r, g, b, out?) => [r, g, b] conversion between two spaces,
+ * or null when there is nothing to convert. Like the LUT samplers it
+ * writes into `out` when one is given.
+ */
+export function createConversion(fromId, toId) {
+    const from = getColorSpace(fromId);
+    const to = getColorSpace(toId);
+    if (!from || !to || from.id === to.id) return null;
+
+    const decode = TRANSFERS[from.transfer].decode;
+    const encode = TRANSFERS[to.transfer].encode;
+    const m = from.gamut === to.gamut ? null : gamutMatrix(from.gamut, to.gamut);
+
+    return (r, g, b, out = [0, 0, 0]) => {
+        const lr = decode(r);
+        const lg = decode(g);
+        const lb = decode(b);
+        if (m) {
+            out[0] = encode(m[0][0] * lr + m[0][1] * lg + m[0][2] * lb);
+            out[1] = encode(m[1][0] * lr + m[1][1] * lg + m[1][2] * lb);
+            out[2] = encode(m[2][0] * lr + m[2][1] * lg + m[2][2] * lb);
+        } else {
+            out[0] = encode(lr);
+            out[1] = encode(lg);
+            out[2] = encode(lb);
+        }
+        return out;
+    };
+}
@@ -0,0 +1,62 @@
+/**
+ * Develop stage
+ * Per-photo adjustments for scene-linear sources (raw and float photos),
+ * applied in linear Rec.709 before the LUT chain: exposure, white balance
+ * as colour temperature and tint, and highlight recovery. Gains are
+ * computed here; the renderer applies them together with the highlight
+ * shoulder.
+ */
+import { gamutToXYZ, invertMatrix, LUMA } from './color-spaces';
+
+export const DEFAULT_DEVELOP = {
+    exposure: 0,
+    temperature: 6500,
+    tint: 0,
+    highlights: 0
+};
+
+export const TEMPERATURE_RANGE = [2000, 12000];
+
+// Planckian locus in CIE xy (Kim et al. cubic spline, 1667-25000 K)
+function kelvinToXY(kelvin) {
+    const t = Math.min(25000, Math.max(1667, kelvin));
+    const x = t <= 4000
+        ? -0.2661239e9 / t ** 3 - 0.2343589e6 / t ** 2 + 0.8776956e3 / t + 0.179910
+        : -3.0258469e9 / t ** 3 + 2.1070379e6 / t ** 2 + 0.2226347e3 / t + 0.240390;
+    let y;
+    if (t <= 2222) y = -1.1063814 * x ** 3 - 1.34811020 * x ** 2 + 2.18555832 * x - 0.20219683;
+    else if (t <= 4000) y = -0.9549476 * x ** 3 - 1.37418593 * x ** 2 + 2.09137015 * x - 0.16748867;
+    else y = 3.0817580 * x ** 3 - 5.87338670 * x ** 2 + 3.75112997 * x - 0.37001483;
+    return [x, y];
+}
+
+// Linear Rec.709 colour of a light at the given temperature, green at 1
+function lightColor(kelvin) {
+    const [x, y] = kelvinToXY(kelvin);
+    const xyz = [x / y, 1, (1 - x - y) / y];
+    const m = invertMatrix(gamutToXYZ('rec709'));
+    const rgb = m.map(row => row[0] * xyz[0] + row[1] * xyz[1] + row[2] * xyz[2]);
+    return rgb.map(v => v / rgb[1]);
+}
+
+export function isDefaultDevelop(develop) {
+    return !develop || Object.keys(DEFAULT_DEVELOP).every(key => develop[key] === DEFAULT_DEVELOP[key]);
+}
+
+/**
+ * Per-channel multipliers for a develop setting. The temperature is the light
+ * the photo should be neutralised for, relative to the 6500 K the decoded
+ * image is balanced to, so lower values cool the picture down like in raw
+ * converters. Positive tint pulls green towards magenta.
+ */
+export function developGains(develop = DEFAULT_DEVELOP) {
+    const reference = lightColor(DEFAULT_DEVELOP.temperature);
+    const light = lightColor(develop.temperature);
+    const gains = light.map((v, c) => reference[c] / v);
+    gains[1] *= 2 ** (-develop.tint / 200);
+
+    // Keep the overall level set by the exposure alone
+    const luminance = LUMA[0] * gains[0] + LUMA[1] * gains[1] + LUMA[2] * gains[2];
+    const exposure = 2 ** develop.exposure;
+    return gains.map(g => g / luminance * exposure);
+}
@@ -0,0 +1,389 @@
+/**
+ * DNG (camera RAW) decoding
+ * Reads the raw sensor image of a DNG, linearises it with the black and
+ * white levels, applies the as-shot white balance, demosaics Bayer data
+ * bilinearly and maps camera RGB to linear Rec.709 through the DNG colour
+ * matrix. The result is a linear float image for the develop stage.
+ */
+import { readTIFF, tagValue, decompress, TAGS } from './tiff';
+import { gamutToXYZ, multiplyMatrices, invertMatrix } from './color-spaces';
+
+const TAG = {
+    WIDTH: 256,
+    HEIGHT: 257,
+    BITS: 258,
+    COMPRESSION: 259,
+    PHOTOMETRIC: 262,
+    STRIP_OFFSETS: 273,
+    ORIENTATION: 274,
+    SAMPLES: 277,
+    ROWS_PER_STRIP: 278,
+    STRIP_BYTE_COUNTS: 279,
+    TILE_WIDTH: 322,
+    TILE_LENGTH: 323,
+    TILE_OFFSETS: 324,
+    TILE_BYTE_COUNTS: 325,
+    CFA_REPEAT: 33421,
+    CFA_PATTERN: 33422,
+    DNG_VERSION: 50706,
+    LINEARIZATION: 50712,
+    BLACK_REPEAT: 50713,
+    BLACK_LEVEL: 50714,
+    WHITE_LEVEL: 50717,
+    COLOR_MATRIX_1: 50721,
+    COLOR_MATRIX_2: 50722,
+    AS_SHOT_NEUTRAL: 50728,
+    ILLUMINANT_1: 50778,
+    ILLUMINANT_2: 50779,
+    ACTIVE_AREA: 50829,
+    CROP_ORIGIN: 50719,
+    CROP_SIZE: 50720
+};
+
+const PHOTOMETRIC_CFA = 32803;
+const PHOTOMETRIC_LINEAR_RAW = 34892;
+const COMPRESSION_LOSSLESS_JPEG = 7;
+const ILLUMINANT_D65 = 21;
+
+/**
+ * Lossless JPEG (ITU T.81 process 14) as used for DNG tiles. Decoded samples
+ * are written in stream order, which is raster order of the tile.
+ */
+export function decodeLosslessJPEG(bytes) {
+    const huffman = [];
+    let frame = null;
+    let pos = 2;
+
+    const u16 = (at) => (bytes[at] << 8) | bytes[at + 1];
+
+    // Canonical Huffman table as maxcode/valptr per code length (T.81 F.2.2.3)
+    const buildTable = (counts, symbols) => {
+        const maxcode = new Int32Array(18).fill(-1);
+        const valptr = new Int32Array(17);
+        const mincode = new Int32Array(17);
+        let code = 0;
+        let k = 0;
+        for (let length = 1; length <= 16; length++) {
+            valptr[length] = k;
+            mincode[length] = code;
+            code += counts[length - 1];
+            k += counts[length - 1];
+            if (counts[length - 1]) maxcode[length] = code - 1;
+            code <<= 1;
+        }
+        return { maxcode, valptr, mincode, symbols };
+    };
+
+    for (;;) {
+        if (bytes[pos] !== 0xff) throw new Error('Invalid lossless JPEG: expected a marker');
+        const marker = bytes[pos + 1];
+        const length = u16(pos + 2);
+        const body = pos + 4;
+
+        if (marker === 0xc4) {
+            for (let at = body; at < pos + 2 + length;) {
+                const id = bytes[at] & 0x0f;
+                const counts = Array.from(bytes.subarray(at + 1, at + 17));
+                const total = counts.reduce((a, b) => a + b, 0);
+                huffman[id] = buildTable(counts, bytes.subarray(at + 17, at + 17 + total));
+                at += 17 + total;
+            }
+        } else if (marker === 0xc3) {
+            const components = bytes[body + 5];
+            frame = {
+                precision: bytes[body],
+                height: u16(body + 1),
+                width: u16(body + 3),
+                components,
+                ids: Array.from({ length: components }, (_, c) => bytes[body + 6 + c * 3])
+            };
+        } else if (marker === 0xdd) {
+            throw new Error('Lossless JPEG restart intervals are not supported');
+        } else if (marker === 0xda) {
+            if (!frame) throw new Error('Invalid lossless JPEG: scan before frame header');
+            const count = bytes[body];
+            const tables = Array.from({ length: count }, (_, c) => huffman[bytes[body + 2 + c * 2] >> 4]);
+            const predictor = bytes[body + 1 + count * 2];
+            const pointTransform = bytes[body + 3 + count * 2] & 0x0f;
+            return decodeScan(bytes, pos + 2 + length, frame, tables, predictor, pointTransform);
+        } else if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc8 && marker !== 0xcc) {
+            throw new Error('Only lossless (SOF3) JPEG is supported in DNG');
+        }
+        // Other segments (APPn, comments, quantisation tables) are skipped
+        pos = marker === 0xd8 ? pos + 2 : pos + 2 + length;
+    }
+}
+
+function decodeScan(bytes, start, frame, tables, predictor, pointTransform) {
+    const { width, height, components, precision } = frame;
+    const rowLength = width * components;
+    const out = new Uint16Array(rowLength * height);
+
+    // Bit reader over the entropy-coded segment; 0xFF00 is a stuffed 0xFF
+    let pos = start;
+    let bits = 0;
+    let count = 0;
+    const readBit = () => {
+        if (count === 0) {
+            let byte = bytes[pos++];
+            if (byte === 0xff) {
+                const next = bytes[pos];
+                if (next === 0x00) pos++;
+                else byte = 0; // hit a marker, pad with zeros
+            }
+            bits = byte;
+            count = 8;
+        }
+        count--;
+        return (bits >> count) & 1;
+    };
+    const receive = (length) => {
+        let value = 0;
+        for (let i = 0; i < length; i++) value = (value << 1) | readBit();
+        return value;
+    };
+    const decodeDiff = (table) => {
+        let code = readBit();
+        let length = 1;
+        while (code > table.maxcode[length]) {
+            code = (code << 1) | readBit();
+            length++;
+            if (length > 16) throw new Error('Invalid lossless JPEG: bad Huffman code');
+        }
+        const size = table.symbols[table.valptr[length] + code - table.mincode[length]];
+        if (size === 0) return 0;
+        if (size === 16) return 32768;
+        const value = receive(size);
+        return value < 1 << (size - 1) ? value - (1 << size) + 1 : value;
+    };
+
+    const initial = 1 << (precision - pointTransform - 1);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            for (let c = 0; c < components; c++) {
+                const i = y * rowLength + x * components + c;
+                const a = x > 0 ? out[i - components] : 0;
+                const b = y > 0 ? out[i - rowLength] : 0;
+                const d = x > 0 && y > 0 ? out[i - rowLength - components] : 0;
+                let prediction;
+                if (y === 0 && x === 0) prediction = initial;
+                else if (y === 0) prediction = a;
+                else if (x === 0) prediction = b;
+                else if (predictor === 1) prediction = a;
+                else if (predictor === 2) prediction = b;
+                else if (predictor === 3) prediction = d;
+                else if (predictor === 4) prediction = a + b - d;
+                else if (predictor === 5) prediction = a + ((b - d) >> 1);
+                else if (predictor === 6) prediction = b + ((a - d) >> 1);
+                else prediction = (a + b) >> 1;
+                out[i] = (prediction + decodeDiff(tables[c])) & 0xffff;
+            }
+        }
+    }
+    return out;
+}
+
+// The raw sensor image: full-resolution, NewSubfileType 0, CFA or linear raw
+function findRawImage(ifds) {
+    const raw = ifds.find(tags => tagValue(tags, TAGS.NEW_SUBFILE_TYPE, 0) === 0 &&
+        [PHOTOMETRIC_CFA, PHOTOMETRIC_LINEAR_RAW].includes(tagValue(tags, TAG.PHOTOMETRIC)));
+    if (!raw) throw new Error('DNG has no raw image');
+    return raw;
+}
+
+// Samples of the raw image as one Uint16Array, from strips or tiles
+async function readRawSamples(buffer, tags, little) {
+    const width = tagValue(tags, TAG.WIDTH);
+    const height = tagValue(tags, TAG.HEIGHT);
+    const samplesPerPixel = tagValue(tags, TAG.SAMPLES, 1);
+    const bits = tagValue(tags, TAG.BITS, 16);
+    const compression = tagValue(tags, TAG.COMPRESSION, 1);
+    const tiled = !!tags[TAG.TILE_OFFSETS];
+    const segmentWidth = tiled ? tagValue(tags, TAG.TILE_WIDTH) : width;
+    const segmentHeight = tiled ? tagValue(tags, TAG.TILE_LENGTH) : Math.min(tagValue(tags, TAG.ROWS_PER_STRIP, height), height);
+    const offsets = tags[tiled ? TAG.TILE_OFFSETS : TAG.STRIP_OFFSETS];
+    const byteCounts = tags[tiled ? TAG.TILE_BYTE_COUNTS : TAG.STRIP_BYTE_COUNTS];
+    const across = Math.ceil(width / segmentWidth);
+
+    if (compression !== COMPRESSION_LOSSLESS_JPEG && bits !== 8 && bits !== 16) {
+        throw new Error(`Unsupported DNG sample size: ${bits}-bit uncompressed`);
+    }
+
+    const rowLength = width * samplesPerPixel;
+    const samples = new Uint16Array(rowLength * height);
+    for (let s = 0; s < offsets.length; s++) {
+        const bytes = new Uint8Array(buffer, offsets[s], byteCounts[s]);
+        const segmentLength = segmentWidth * segmentHeight * samplesPerPixel;
+        let segment;
+        if (compression === COMPRESSION_LOSSLESS_JPEG) {
+            segment = decodeLosslessJPEG(bytes);
+        } else {
+            const raw = await decompress(compression, bytes, segmentLength * bits / 8);
+            const view = new DataView(raw.buffer, raw.byteOffset, raw.byteLength);
+            segment = new Uint16Array(segmentLength);
+            for (let i = 0; i < Math.min(segmentLength, raw.length * 8 / bits); i++) {
+                segment[i] = bits === 8 ? raw[i] : view.getUint16(i * 2, little);
+            }
+        }
+
+        // Place the segment, clipping tiles that hang over the right or bottom edge
+        const x0 = (s % across) * segmentWidth;
+        const y0 = Math.floor(s / across) * segmentHeight;
+        const copyWidth = Math.min(segmentWidth, width - x0) * samplesPerPixel;
+        for (let row = 0; row < segmentHeight && y0 + row < height; row++) {
+            const src = row * segmentWidth * samplesPerPixel;
+            samples.set(segment.subarray(src, src + copyWidth), (y0 + row) * rowLength + x0 * samplesPerPixel);
+        }
+    }
+    return { width, height, samplesPerPixel, samples };
+}
+
+// dcraw's approach: camera-to-Rec.709 from the XYZ-to-camera matrix, rows
+// normalised so a white-balanced neutral stays neutral
+function cameraToRec709(colorMatrix) {
+    const camFromRec709 = multiplyMatrices(colorMatrix, gamutToXYZ('rec709'))
+        .map(row => {
+            const sum = row[0] + row[1] + row[2];
+            return row.map(v => v / sum);
+        });
+    return invertMatrix(camFromRec709);
+}
+
+function pickColorMatrix(tags) {
+    const matrix = (id) => (tags[id] && tags[id].length === 9
+        ? [tags[id].slice(0, 3), tags[id].slice(3, 6), tags[id].slice(6, 9)]
+        : null);
+    const first = matrix(TAG.COLOR_MATRIX_1);
+    const second = matrix(TAG.COLOR_MATRIX_2);
+    if (second && tagValue(tags, TAG.ILLUMINANT_2) === ILLUMINANT_D65) return second;
+    if (first && (tagValue(tags, TAG.ILLUMINANT_1) === ILLUMINANT_D65 || !second)) return first;
+    if (second) return second;
+    throw new Error('DNG has no color matrix (only 3-color cameras are supported)');
+}
+
+// Rotate or mirror to the stored EXIF orientation (1-8)
+function orient(image, orientation) {
+    if (!orientation || orientation === 1) return image;
+    const { width, height, data } = image;
+    const swap = orientation >= 5;
+    const outWidth = swap ? height : width;
+    const outHeight = swap ? width : height;
+    const out = new Float32Array(data.length);
+    for (let y = 0; y < outHeight; y++) {
+        for (let x = 0; x < outWidth; x++) {
+            // Source pixel for this output pixel; 5-8 swap the axes
+            let sx = swap ? y : x;
+            let sy = swap ? x : y;
+            if ([2, 3, 7, 8].includes(orientation)) sx = width - 1 - sx;
+            if ([3, 4, 6, 7].includes(orientation)) sy = height - 1 - sy;
+            out.set(data.subarray((sy * width + sx) * 4, (sy * width + sx) * 4 + 4), (y * outWidth + x) * 4);
+        }
+    }
+    return { ...image, width: outWidth, height: outHeight, data: out };
+}
+
+export async function decodeDNG(buffer) {
+    const { little, ifds } = readTIFF(buffer);
+    const main = ifds[0];
+    if (!main[TAG.DNG_VERSION]) throw new Error('Not a DNG file');
+
+    const rawTags = findRawImage(ifds);
+    const photometric = tagValue(rawTags, TAG.PHOTOMETRIC);
+    // Colour tags may sit on either directory
+    const colorTags = { ...main, ...rawTags };
+    const { width: fullWidth, samplesPerPixel, samples } = await readRawSamples(buffer, rawTags, little);
+
+    const [top, left, bottom, right] = rawTags[TAG.ACTIVE_AREA] || [0, 0, tagValue(rawTags, TAG.HEIGHT), fullWidth];
+    const [cropX, cropY] = rawTags[TAG.CROP_ORIGIN] || [0, 0];
+    const [cropWidth, cropHeight] = rawTags[TAG.CROP_SIZE] || [right - left, bottom - top];
+    const originX = left + Math.round(cropX);
+    const originY = top + Math.round(cropY);
+    const width = Math.round(cropWidth);
+    const height = Math.round(cropHeight);
+
+    const bits = tagValue(rawTags, TAG.BITS, 16);
+    const white = tagValue(rawTags, TAG.WHITE_LEVEL, (1 << bits) - 1);
+    const blackLevels = rawTags[TAG.BLACK_LEVEL] || [0];
+    const [blackRows, blackCols] = rawTags[TAG.BLACK_REPEAT] || [1, 1];
+    const linearization = rawTags[TAG.LINEARIZATION] || null;
+
+    // As-shot white balance: multipliers that make the camera neutral equal, smallest at 1
+    const neutral = colorTags[TAG.AS_SHOT_NEUTRAL] || [1, 1, 1];
+    const gains = neutral.map(v => 1 / v);
+    const minGain = Math.min(...gains);
+    const wb = gains.map(g => g / minGain);
+
+    // Linearise, white balance and clip, sensor position relative to the active area
+    const level = (x, y, c) => {
+        const sx = originX + x;
+        const sy = originY + y;
+        let v = samples[(sy * fullWidth + sx) * samplesPerPixel + c];
+        if (linearization) v = linearization[Math.min(v, linearization.length - 1)];
+        const black = blackLevels.length === 1 ? blackLevels[0]
+            : blackLevels[((sy - top) % blackRows) * blackCols + ((sx - left) % blackCols)] ?? blackLevels[0];
+        return (v - black) / (white - black);
+    };
+
+    const cameraRGB = new Float32Array(width * height * 3);
+    if (photometric === PHOTOMETRIC_CFA) {
+        const [repeatRows, repeatCols] = rawTags[TAG.CFA_REPEAT] || [2, 2];
+        if (repeatRows !== 2 || repeatCols !== 2) throw new Error('Only Bayer (2x2) sensors are supported');
+        const pattern = rawTags[TAG.CFA_PATTERN];
+        const colorAt = (x, y) => pattern[((originY + y - top) & 1) * 2 + ((originX + x - left) & 1)];
+
+        const mosaic = new Float32Array(width * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const c = colorAt(x, y);
+                mosaic[y * width + x] = Math.min(1, Math.max(0, level(x, y, 0)) * wb[c]);
+            }
+        }
+
+        // Bilinear demosaic: missing colours are the mean of same-colour neighbours in the 3x3 window
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const sums = [0, 0, 0];
+                const counts = [0, 0, 0];
+                for (let dy = -1; dy <= 1; dy++) {
+                    const ny = y + dy;
+                    if (ny < 0 || ny >= height) continue;
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const nx = x + dx;
+                        if (nx < 0 || nx >= width) continue;
+                        const c = colorAt(nx, ny);
+                        sums[c] += mosaic[ny * width + nx];
+                        counts[c]++;
+                    }
+                }
+                const own = colorAt(x, y);
+                const i = (y * width + x) * 3;
+                for (let c = 0; c < 3; c++) {
+                    cameraRGB[i + c] = c === own ? mosaic[y * width + x] : sums[c] / Math.max(1, counts[c]);
+                }
+            }
+        }
+    } else {
+        if (samplesPerPixel < 3) throw new Error('Unsupported linear DNG: fewer than 3 samples per pixel');
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                for (let c = 0; c < 3; c++) {
+                    cameraRGB[(y * width + x) * 3 + c] = Math.min(1, Math.max(0, level(x, y, c)) * wb[c]);
+                }
+            }
+        }
+    }
+
+    const m = cameraToRec709(pickColorMatrix(colorTags));
+    const data = new Float32Array(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        const r = cameraRGB[i * 3];
+        const g = cameraRGB[i * 3 + 1];
+        const b = cameraRGB[i * 3 + 2];
+        data[i * 4] = m[0][0] * r + m[0][1] * g + m[0][2] * b;
+        data[i * 4 + 1] = m[1][0] * r + m[1][1] * g + m[1][2] * b;
+        data[i * 4 + 2] = m[2][0] * r + m[2][1] * g + m[2][2] * b;
+        data[i * 4 + 3] = 1;
+    }
+
+    return orient({ width, height, data, linear: true }, tagValue(main, TAG.ORIENTATION, 1));
+}
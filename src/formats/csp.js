@@ -0,0 +1,193 @@
+/**
+ * Cinespace .csp
+ * A CSPLUTV100 header, a 1D or 3D type line, an optional metadata block,
+ * three per-channel prelut curves (count, input points, output points) and
+ * then the table itself. Preluts with non-linear spacing are resampled into
+ * a uniform shaper so they fit the shared LUT shape.
+ */
+import { splitLines } from '../lut-parser';
+
+const SHAPER_RESOLUTION = 1024;
+
+export function parseCSP(text) {
+    const lines = splitLines(text).map(l => l.trim());
+    let cursor = 0;
+
+    const nextLine = () => {
+        while (cursor < lines.length) {
+            const line = lines[cursor++];
+            if (line) return line;
+        }
+        throw new Error('Invalid CSP: unexpected end of file');
+    };
+    const numbers = (line) => line.split(/\s+/).map(parseFloat);
+
+    if (nextLine().toUpperCase() !== 'CSPLUTV100') throw new Error('Invalid CSP: missing CSPLUTV100 header');
+    const type = nextLine().toUpperCase();
+    if (type !== '1D' && type !== '3D') throw new Error(`Invalid CSP: unknown type ${type}`);
+
+    let title = '';
+    let line = nextLine();
+    if (line.toUpperCase() === 'BEGIN METADATA') {
+        while ((line = nextLine()).toUpperCase() !== 'END METADATA') {
+            if (!title) title = line.replace(/"/g, '');
+        }
+        line = nextLine();
+    }
+
+    const preluts = [];
+    for (let c = 0; c < 3; c++) {
+        const count = parseInt(c === 0 ? line : nextLine(), 10);
+        const inputs = numbers(nextLine());
+        const outputs = numbers(nextLine());
+        if (inputs.length !== count || outputs.length !== count) {
+            throw new Error(`Invalid CSP: prelut ${c} expected ${count} points`);
+        }
+        preluts.push({ inputs, outputs });
+    }
+
+    if (type === '1D') {
+        const size = parseInt(nextLine(), 10);
+        const table = new Float32Array(size * 4);
+        for (let i = 0; i < size; i++) {
+            const [r, g, b] = numbers(nextLine());
+            table.set([r, g, b, 1.0], i * 4);
+        }
+        return parse1D(title, preluts, size, table);
+    }
+
+    const dims = numbers(nextLine());
+    const size = dims[0];
+    if (dims[1] !== size || dims[2] !== size) throw new Error('Invalid CSP: only cubic 3D tables are supported');
+
+    const data = new Float32Array(size * size * size * 4);
+    for (let i = 0; i < size * size * size; i++) {
+        const [r, g, b] = numbers(nextLine());
+        data.set([r, g, b, 1.0], i * 4);
+    }
+
+    const linear = preluts.map(linearPrelut);
+    if (linear.every(Boolean)) {
+        return {
+            type: '3D', title, size, data, shaper: null,
+            min: linear.map(l => l.min),
+            max: linear.map(l => l.max)
+        };
+    }
+
+    return {
+        type: '3D', title, size, data,
+        min: [0, 0, 0],
+        max: [1, 1, 1],
+        shaper: resamplePreluts(preluts, (c, v) => v)
+    };
+}
+
+function parse1D(title, preluts, size, table) {
+    const lookup = (c, v) => {
+        const f = Math.max(0, Math.min(size - 1, v * (size - 1)));
+        const i0 = Math.min(size - 2, Math.floor(f));
+        const t = f - i0;
+        return table[i0 * 4 + c] * (1 - t) + table[(i0 + 1) * 4 + c] * t;
+    };
+
+    const linear = preluts.map(linearPrelut);
+    if (linear.every(Boolean)) {
+        return {
+            type: '1D', title, size, data: table,
+            min: linear.map(l => l.min),
+            max: linear.map(l => l.max)
+        };
+    }
+
+    const composed = resamplePreluts(preluts, lookup);
+    return { type: '1D', title, ...composed };
+}
+
+// A two-point (or collinear) prelut is just a domain remap
+function linearPrelut({ inputs, outputs }) {
+    const n = inputs.length;
+    const slope = (outputs[n - 1] - outputs[0]) / (inputs[n - 1] - inputs[0]);
+    if (!isFinite(slope) || slope === 0) return null;
+    for (let i = 1; i < n - 1; i++) {
+        const expected = outputs[0] + (inputs[i] - inputs[0]) * slope;
+        if (Math.abs(expected - outputs[i]) > 1e-6) return null;
+    }
+    const offset = outputs[0] - inputs[0] * slope;
+    return { min: -offset / slope, max: (1 - offset) / slope };
+}
+
+function resamplePreluts(preluts, lookup) {
+    const min = preluts.map(p => p.inputs[0]);
+    const max = preluts.map(p => p.inputs[p.inputs.length - 1]);
+    const data = new Float32Array(SHAPER_RESOLUTION * 4);
+
+    for (let i = 0; i < SHAPER_RESOLUTION; i++) {
+        const t = i / (SHAPER_RESOLUTION - 1);
+        for (let c = 0; c < 3; c++) {
+            const x = min[c] + t * (max[c] - min[c]);
+            data[i * 4 + c] = lookup(c, interpolate(preluts[c].inputs, preluts[c].outputs, x));
+        }
+        data[i * 4 + 3] = 1.0;
+    }
+
+    return { size: SHAPER_RESOLUTION, min, max, data };
+}
+
+function interpolate(xs, ys, x) {
+    if (x <= xs[0]) return ys[0];
+    for (let i = 1; i < xs.length; i++) {
+        if (x <= xs[i]) {
+            const t = (x - xs[i - 1]) / (xs[i] - xs[i - 1]);
+            return ys[i - 1] + t * (ys[i] - ys[i - 1]);
+        }
+    }
+    return ys[ys.length - 1];
+}
+
+export function generateCSP(lut, title = 'Merged LUT') {
+    let out = `CSPLUTV100\n${lut.type}\n\n`;
+    out += `BEGIN METADATA\n"${title}"\nEND METADATA\n\n`;
+
+    if (lut.shaper) {
+        // Shaper outputs address the cube domain, the prelut must address 0-1
+        const { size, min, max, data } = lut.shaper;
+        for (let c = 0; c < 3; c++) {
+            const inputs = [];
+            const outputs = [];
+            for (let i = 0; i < size; i++) {
+                inputs.push(formatNumber(min[c] + (i / (size - 1)) * (max[c] - min[c])));
+                outputs.push(formatNumber((data[i * 4 + c] - lut.min[c]) / (lut.max[c] - lut.min[c])));
+            }
+            out += `${size}\n${inputs.join(' ')}\n${outputs.join(' ')}\n`;
+        }
+    } else {
+        for (let c = 0; c < 3; c++) {
+            out += `2\n${formatNumber(lut.min[c])} ${formatNumber(lut.max[c])}\n0.000000 1.000000\n`;
+        }
+    }
+    out += '\n';
+
+    out += lut.type === '1D' ? `${lut.size}\n` : `${lut.size} ${lut.size} ${lut.size}\n`;
+    for (let i = 0; i < lut.data.length; i += 4) {
+        out += `${formatNumber(lut.data[i])} ${formatNumber(lut.data[i + 1])} ${formatNumber(lut.data[i + 2])}\n`;
+    }
+
+    return out;
+}
+
+function formatNumber(v) {
+    return v.toFixed(6);
+}
+
+export const cspFormat = {
+    id: 'csp',
+    name: 'Cinespace (.csp)',
+    extensions: ['csp'],
+    mimeType: 'text/plain',
+    binary: false,
+    supportsDomain: true,
+    detect: (text) => text.trimStart().toUpperCase().startsWith('CSPLUTV100'),
+    parse: parseCSP,
+    write: generateCSP
+};
@@ -0,0 +1,14 @@
+import { parseCubeLUT, validateCubeLUT, generateCubeLUT } from '../lut-parser';
+
+export const cubeFormat = {
+    id: 'cube',
+    name: 'Adobe / Resolve (.cube)',
+    extensions: ['cube'],
+    mimeType: 'text/plain',
+    binary: false,
+    supportsDomain: true,
+    detect: (text) => /^\s*LUT_(1D|3D)_SIZE\s/m.test(text),
+    parse: parseCubeLUT,
+    validate: validateCubeLUT,
+    write: generateCubeLUT
+};
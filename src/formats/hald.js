@@ -0,0 +1,85 @@
+/**
+ * Hald CLUT images
+ * A square image of side level^3 holding a level^2 cube, red varying
+ * fastest then green then blue, one lattice point per pixel.
+ */
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47];
+
+export function parseHaldPixels({ width, height, data }, maxValue = 255) {
+    const level = Math.round(Math.cbrt(width));
+    if (width !== height || level * level * level !== width) {
+        throw new Error(`Invalid Hald CLUT: ${width}x${height} is not a level^3 square`);
+    }
+
+    const size = level * level;
+    const lut = new Float32Array(size * size * size * 4);
+    for (let i = 0; i < size * size * size; i++) {
+        lut[i * 4] = data[i * 4] / maxValue;
+        lut[i * 4 + 1] = data[i * 4 + 1] / maxValue;
+        lut[i * 4 + 2] = data[i * 4 + 2] / maxValue;
+        lut[i * 4 + 3] = 1.0;
+    }
+
+    return { type: '3D', title: '', size, min: [0, 0, 0], max: [1, 1, 1], data: lut, shaper: null };
+}
+
+export function haldPixels(lut) {
+    if (lut.type !== '3D' || lut.shaper) throw new Error('Hald export requires a plain 3D LUT');
+
+    const level = Math.round(Math.sqrt(lut.size));
+    if (level * level !== lut.size) throw new Error(`Hald export requires a square cube size, got ${lut.size}`);
+
+    const width = level * level * level;
+    const data = new Uint8ClampedArray(width * width * 4);
+    for (let i = 0; i < lut.size * lut.size * lut.size; i++) {
+        data[i * 4] = Math.round(lut.data[i * 4] * 255);
+        data[i * 4 + 1] = Math.round(lut.data[i * 4 + 1] * 255);
+        data[i * 4 + 2] = Math.round(lut.data[i * 4 + 2] * 255);
+        data[i * 4 + 3] = 255;
+    }
+
+    return { width, height: width, data };
+}
+
+// Workers have no document, only OffscreenCanvas
+function createCanvas(width, height) {
+    if (typeof document === 'undefined') return new OffscreenCanvas(width, height);
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+async function decodeImage(bytes) {
+    const bitmap = await createImageBitmap(new Blob([bytes]), {
+        colorSpaceConversion: 'none',
+        premultiplyAlpha: 'none'
+    });
+    const canvas = createCanvas(bitmap.width, bitmap.height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+function encodePNG({ width, height, data }) {
+    const canvas = createCanvas(width, height);
+    canvas.getContext('2d').putImageData(new ImageData(data, width, height), 0, 0);
+    if (canvas.convertToBlob) return canvas.convertToBlob({ type: 'image/png' });
+    return new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+}
+
+export const haldFormat = {
+    id: 'hald',
+    name: 'Hald CLUT image (.png)',
+    extensions: ['png'],
+    mimeType: 'image/png',
+    binary: true,
+    supportsDomain: false,
+    detect: (bytes) => PNG_SIGNATURE.every((b, i) => bytes[i] === b),
+    parse: async (bytes) => parseHaldPixels(await decodeImage(bytes)),
+    write: (lut) => encodePNG(haldPixels(lut)),
+    // Hald cubes hold level^2 points per axis, round up to the next one
+    normalizeSize: (size) => Math.pow(Math.ceil(Math.sqrt(size)), 2)
+};
@@ -0,0 +1,107 @@
+/**
+ * Autodesk / Flame / Lustre .3dl
+ * A line of integer input mesh points followed by integer RGB triples with
+ * blue varying fastest. Input and output bit depths are implied by the values
+ * unless a Lustre "Mesh <in> <out>" header states them.
+ */
+import { splitLines } from '../lut-parser';
+
+const OUTPUT_DEPTHS = [10, 12, 14, 16];
+
+export function parse3DL(text) {
+    const lines = splitLines(text);
+    let mesh = null;
+    let outputBits = 0;
+    const rows = [];
+
+    for (let line of lines) {
+        line = line.trim();
+        if (!line || line.startsWith('#')) continue;
+
+        const parts = line.split(/\s+/);
+        const command = parts[0].toUpperCase();
+
+        if (command === '3DMESH' || command === 'LUT8' || command === 'GAMMA') continue;
+        if (command === 'MESH') {
+            outputBits = parseInt(parts[2], 10);
+            continue;
+        }
+
+        const values = parts.map(v => parseInt(v, 10));
+        if (values.some(isNaN)) continue;
+
+        if (!mesh && values.length > 3) {
+            mesh = values;
+        } else if (values.length === 3) {
+            rows.push(values);
+        }
+    }
+
+    const size = mesh ? mesh.length : Math.round(Math.cbrt(rows.length));
+    if (size < 2 || rows.length !== size * size * size) {
+        throw new Error(`Invalid 3DL: expected ${size * size * size} entries, got ${rows.length}`);
+    }
+
+    let outputMax;
+    if (outputBits) {
+        outputMax = Math.pow(2, outputBits) - 1;
+    } else {
+        const peak = rows.reduce((m, row) => Math.max(m, row[0], row[1], row[2]), 0);
+        const bits = OUTPUT_DEPTHS.find(b => peak <= Math.pow(2, b) - 1) || 16;
+        outputMax = Math.pow(2, bits) - 1;
+    }
+
+    const data = new Float32Array(size * size * size * 4);
+    let k = 0;
+    for (let r = 0; r < size; r++) {
+        for (let g = 0; g < size; g++) {
+            for (let b = 0; b < size; b++) {
+                const idx = (r + g * size + b * size * size) * 4;
+                const row = rows[k++];
+                data[idx] = row[0] / outputMax;
+                data[idx + 1] = row[1] / outputMax;
+                data[idx + 2] = row[2] / outputMax;
+                data[idx + 3] = 1.0;
+            }
+        }
+    }
+
+    return { type: '3D', title: '', size, min: [0, 0, 0], max: [1, 1, 1], data, shaper: null };
+}
+
+export function generate3DL(lut, title = 'Merged LUT') {
+    if (lut.type !== '3D' || lut.shaper) throw new Error('3DL export requires a plain 3D LUT');
+
+    const size = lut.size;
+    const inputMax = 1023;
+    const outputMax = 4095;
+
+    let out = `# Created by LUT Merge\n# ${title}\n`;
+    const mesh = [];
+    for (let i = 0; i < size; i++) mesh.push(Math.round(i * inputMax / (size - 1)));
+    out += `${mesh.join(' ')}\n`;
+
+    const quantize = (v) => Math.max(0, Math.min(outputMax, Math.round(v * outputMax)));
+    for (let r = 0; r < size; r++) {
+        for (let g = 0; g < size; g++) {
+            for (let b = 0; b < size; b++) {
+                const idx = (r + g * size + b * size * size) * 4;
+                out += `${quantize(lut.data[idx])} ${quantize(lut.data[idx + 1])} ${quantize(lut.data[idx + 2])}\n`;
+            }
+        }
+    }
+
+    return out;
+}
+
+export const threeDLFormat = {
+    id: '3dl',
+    name: 'Autodesk / Flame (.3dl)',
+    extensions: ['3dl'],
+    mimeType: 'text/plain',
+    binary: false,
+    supportsDomain: false,
+    detect: (text) => /^\s*(3DMESH|\d+(\s+\d+){3,})\s*$/m.test(text),
+    parse: parse3DL,
+    write: generate3DL
+};
@@ -0,0 +1,62 @@
+/**
+ * Undo/redo stack
+ * Commands are recorded after they have been applied and carry their own
+ * undo() and redo() functions.
+ */
+
+export class History {
+    constructor({ limit = 100, onChange = () => {} } = {}) {
+        this.limit = limit;
+        this.onChange = onChange;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    // command: { label, undo(), redo() }
+    push(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) this.undoStack.shift();
+        this.redoStack = [];
+        this.onChange();
+    }
+
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+        command.undo();
+        this.redoStack.push(command);
+        this.onChange();
+        return command;
+    }
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+        command.redo();
+        this.undoStack.push(command);
+        this.onChange();
+        return command;
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    get undoLabel() {
+        return this.canUndo ? this.undoStack[this.undoStack.length - 1].label : null;
+    }
+
+    get redoLabel() {
+        return this.canRedo ? this.redoStack[this.redoStack.length - 1].label : null;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.onChange();
+    }
+}
@@ -0,0 +1,324 @@
+/**
+ * High-precision image input and output
+ * Browsers decode photos to 8 bits per channel, which hides banding in the
+ * grade. 16-bit PNG, TIFF, OpenEXR, Radiance HDR and DNG raw stills are
+ * decoded here into float RGBA instead, and graded photos can be written
+ * back as 16-bit PNG or 32-bit float EXR.
+ *
+ * A float image is { width, height, data: Float32Array RGBA, rows top-down,
+ * linear: true when the values are scene-linear rather than display-encoded }.
+ */
+import { FloatType, RedFormat } from 'three';
+import { EXRLoader } from 'three/examples/jsm/loaders/EXRLoader.js';
+import { RGBELoader } from 'three/examples/jsm/loaders/RGBELoader.js';
+import { crc32, inflate, deflate } from './zip';
+import { readTIFF, tagValue, decompress } from './tiff';
+import { decodeDNG } from './dng';
+
+export const FLOAT_IMAGE_EXTENSIONS = ['exr', 'hdr', 'tif', 'tiff', 'dng'];
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+function extensionOf(name) {
+    return name.includes('.') ? name.slice(name.lastIndexOf('.') + 1).toLowerCase() : '';
+}
+
+// Formats the browser cannot show at all, so thumbnails have to come from the decoder
+export function needsDecoder(name) {
+    return FLOAT_IMAGE_EXTENSIONS.includes(extensionOf(name));
+}
+
+// Expand 1-4 channels to RGBA; grey is copied to all three colour channels
+function toRGBA(width, height, channels, read) {
+    const data = new Float32Array(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        const color = channels < 3 ? 1 : 3;
+        for (let c = 0; c < 3; c++) data[i * 4 + c] = read(i * channels + (color === 1 ? 0 : c));
+        data[i * 4 + 3] = channels === 2 || channels === 4 ? read(i * channels + channels - 1) : 1;
+    }
+    return data;
+}
+
+/**
+ * Decode a photo into a float image, or resolve to null when it is an
+ * ordinary 8-bit image the browser already handles.
+ */
+export async function decodeFloatImage(blob, name) {
+    const extension = extensionOf(name);
+    if (extension === 'png') {
+        const buffer = await blob.arrayBuffer();
+        return isPNG16(buffer) ? decodePNG(buffer) : null;
+    }
+    if (extension === 'tif' || extension === 'tiff') return decodeTIFF(await blob.arrayBuffer());
+    if (extension === 'exr') return decodeEXR(await blob.arrayBuffer());
+    if (extension === 'hdr') return decodeHDR(await blob.arrayBuffer());
+    if (extension === 'dng') return decodeDNG(await blob.arrayBuffer());
+    return null;
+}
+
+function isPNG16(buffer) {
+    const bytes = new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 25));
+    return bytes.length === 25 && PNG_SIGNATURE.every((b, i) => bytes[i] === b) && bytes[24] === 16;
+}
+
+// 8 and 16-bit greyscale, grey+alpha, RGB and RGBA PNGs, not interlaced. The browser
+// only sends 16-bit files here; the CLI has no other PNG decoder.
+export async function decodePNG(buffer) {
+    const view = new DataView(buffer);
+    const idat = [];
+    let header = null;
+
+    for (let offset = 8; offset < buffer.byteLength;) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...new Uint8Array(buffer, offset + 4, 4));
+        const body = new Uint8Array(buffer, offset + 8, length);
+        if (type === 'IHDR') {
+            header = {
+                width: view.getUint32(offset + 8),
+                height: view.getUint32(offset + 12),
+                bitDepth: body[8],
+                colorType: body[9],
+                interlace: body[12]
+            };
+        } else if (type === 'IDAT') {
+            idat.push(body);
+        } else if (type === 'IEND') {
+            break;
+        }
+        offset += length + 12;
+    }
+
+    if (!header) throw new Error('Invalid PNG: missing IHDR');
+    if (header.interlace) throw new Error('Interlaced PNGs are not supported');
+    if (header.bitDepth !== 8 && header.bitDepth !== 16) throw new Error(`Unsupported PNG bit depth ${header.bitDepth}`);
+    const channels = { 0: 1, 2: 3, 4: 2, 6: 4 }[header.colorType];
+    if (!channels) throw new Error(`Unsupported PNG color type ${header.colorType}`);
+
+    const { width, height } = header;
+    const raw = await inflate(new Uint8Array(await new Blob(idat).arrayBuffer()));
+    const bytesPerSample = header.bitDepth / 8;
+    const bpp = channels * bytesPerSample;
+    const rowBytes = width * bpp;
+    const pixels = new Uint8Array(rowBytes * height);
+
+    // Undo the per-row filters, each row refers to the reconstructed one above it
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (rowBytes + 1)];
+        const src = y * (rowBytes + 1) + 1;
+        const dst = y * rowBytes;
+        for (let x = 0; x < rowBytes; x++) {
+            const a = x >= bpp ? pixels[dst + x - bpp] : 0;
+            const b = y > 0 ? pixels[dst + x - rowBytes] : 0;
+            const c = x >= bpp && y > 0 ? pixels[dst + x - rowBytes - bpp] : 0;
+            let predictor = 0;
+            if (filter === 1) predictor = a;
+            else if (filter === 2) predictor = b;
+            else if (filter === 3) predictor = (a + b) >> 1;
+            else if (filter === 4) {
+                const p = a + b - c;
+                const pa = Math.abs(p - a);
+                const pb = Math.abs(p - b);
+                const pc = Math.abs(p - c);
+                predictor = pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+            }
+            pixels[dst + x] = (raw[src + x] + predictor) & 0xff;
+        }
+    }
+
+    const data = bytesPerSample === 2
+        ? toRGBA(width, height, channels, i => ((pixels[i * 2] << 8) | pixels[i * 2 + 1]) / 65535)
+        : toRGBA(width, height, channels, i => pixels[i] / 255);
+    return { width, height, data, linear: false };
+}
+
+// Baseline strip TIFFs: 8/16-bit integer or 32-bit float samples, chunky layout,
+// uncompressed, LZW, Deflate or PackBits, with optional horizontal predictor
+export async function decodeTIFF(buffer) {
+    const { little, ifds } = readTIFF(buffer);
+    // First image only
+    const tags = ifds[0];
+    const tag = (id, fallback) => tagValue(tags, id, fallback);
+    const width = tag(256);
+    const height = tag(257);
+    const channels = tag(277, 1);
+    const bits = tag(258, 1);
+    const compression = tag(259, 1);
+    const photometric = tag(262, 1);
+    const predictor = tag(317, 1);
+    const sampleFormat = tag(339, 1);
+
+    if (tags[322]) throw new Error('Tiled TIFFs are not supported');
+    if (tag(284, 1) !== 1) throw new Error('Planar TIFFs are not supported');
+    if (![8, 16, 32].includes(bits) || (bits === 32) !== (sampleFormat === 3)) {
+        throw new Error(`Unsupported TIFF sample format: ${bits}-bit ${sampleFormat === 3 ? 'float' : 'integer'}`);
+    }
+    if (![0, 1, 2].includes(photometric)) throw new Error(`Unsupported TIFF photometric interpretation ${photometric}`);
+    if (predictor === 3) throw new Error('TIFF floating-point predictor is not supported');
+
+    const bytesPerSample = bits / 8;
+    const rowBytes = width * channels * bytesPerSample;
+    const stripBytes = rowBytes * Math.min(tag(278, height), height);
+    const pixels = new Uint8Array(rowBytes * height);
+    let filled = 0;
+    for (let s = 0; s < tags[273].length; s++) {
+        const strip = await decompress(compression, new Uint8Array(buffer, tags[273][s], tags[279][s]), stripBytes);
+        const length = Math.min(strip.length, pixels.length - filled);
+        pixels.set(strip.subarray(0, length), filled);
+        filled += length;
+    }
+
+    const samples = new DataView(pixels.buffer);
+    const read = bits === 8 ? i => pixels[i]
+        : bits === 16 ? i => samples.getUint16(i * 2, little)
+            : i => samples.getFloat32(i * 4, little);
+
+    // Horizontal differencing stores each sample as the change from its left neighbour
+    let values = null;
+    if (predictor === 2 && bits !== 32) {
+        values = new Uint16Array(width * height * channels);
+        const mask = bits === 8 ? 0xff : 0xffff;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width * channels; x++) {
+                const i = y * width * channels + x;
+                values[i] = (read(i) + (x >= channels ? values[i - channels] : 0)) & mask;
+            }
+        }
+    }
+
+    const scale = bits === 32 ? 1 : (1 << bits) - 1;
+    const sample = values ? i => values[i] / scale : i => read(i) / scale;
+    const normalized = photometric === 0 ? i => 1 - sample(i) : sample;
+    const data = toRGBA(width, height, channels, normalized);
+    return { width, height, data, linear: bits === 32 };
+}
+
+// three's EXR decoder writes rows bottom-up for upload, flip them back
+export function decodeEXR(buffer) {
+    const { width, height, data, format } = new EXRLoader().setDataType(FloatType).parse(buffer);
+    const channels = format === RedFormat ? 1 : 4;
+    const rowLength = width * channels;
+    const rows = new Float32Array(data.length);
+    for (let y = 0; y < height; y++) {
+        rows.set(data.subarray((height - 1 - y) * rowLength, (height - y) * rowLength), y * rowLength);
+    }
+    return { width, height, data: toRGBA(width, height, channels, i => rows[i]), linear: true };
+}
+
+export function decodeHDR(buffer) {
+    const { width, height, data } = new RGBELoader().setDataType(FloatType).parse(buffer);
+    return { width, height, data, linear: true };
+}
+
+// Small 8-bit preview of a float image; linear values get the sRGB curve so they read as a photo
+export function floatImageToCanvas(image, maxSize = 256) {
+    const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+    const width = Math.max(1, Math.round(image.width * scale));
+    const height = Math.max(1, Math.round(image.height * scale));
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+
+    const ctx = canvas.getContext('2d');
+    const pixels = ctx.createImageData(width, height);
+    const encode = image.linear
+        ? v => (v <= 0.0031308 ? v * 12.92 : 1.055 * v ** (1 / 2.4) - 0.055)
+        : v => v;
+    for (let y = 0; y < height; y++) {
+        const sy = Math.min(image.height - 1, Math.floor(y / scale));
+        for (let x = 0; x < width; x++) {
+            const sx = Math.min(image.width - 1, Math.floor(x / scale));
+            const src = (sy * image.width + sx) * 4;
+            const dst = (y * width + x) * 4;
+            for (let c = 0; c < 3; c++) pixels.data[dst + c] = Math.round(Math.max(0, Math.min(1, encode(image.data[src + c]))) * 255);
+            pixels.data[dst + 3] = 255;
+        }
+    }
+    ctx.putImageData(pixels, 0, 0);
+    return canvas;
+}
+
+function pngChunk(type, body) {
+    const chunk = new Uint8Array(body.length + 12);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, body.length);
+    for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(body, 8);
+    view.setUint32(body.length + 8, crc32(chunk.subarray(4, body.length + 8)));
+    return chunk;
+}
+
+// 16-bit RGBA PNG from float RGBA rows (top-down); values are clamped to 0-1
+export async function encodePNG16(width, height, data) {
+    const rowBytes = width * 8;
+    const raw = new Uint8Array((rowBytes + 1) * height);
+    for (let y = 0; y < height; y++) {
+        const row = y * (rowBytes + 1);
+        raw[row] = 0; // no filter
+        for (let i = 0; i < width * 4; i++) {
+            const v = Math.round(Math.max(0, Math.min(1, data[y * width * 4 + i])) * 65535);
+            raw[row + 1 + i * 2] = v >> 8;
+            raw[row + 2 + i * 2] = v & 0xff;
+        }
+    }
+
+    const header = new Uint8Array(13);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    header.set([16, 6, 0, 0, 0], 8);
+
+    return new Blob([
+        new Uint8Array(PNG_SIGNATURE),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', await deflate(raw)),
+        pngChunk('IEND', new Uint8Array(0))
+    ], { type: 'image/png' });
+}
+
+// Uncompressed scanline OpenEXR with 32-bit float A, B, G, R channels
+export function encodeEXR(width, height, data) {
+    const header = [];
+    const text = s => [...s].map(ch => ch.charCodeAt(0)).concat(0);
+    const int32 = v => Array.from(new Uint8Array(new Int32Array([v]).buffer));
+    const float32 = v => Array.from(new Uint8Array(new Float32Array([v]).buffer));
+    const attribute = (name, type, bytes) => header.push(...text(name), ...text(type), ...int32(bytes.length), ...bytes);
+
+    const channelNames = ['A', 'B', 'G', 'R'];
+    const channelList = channelNames.flatMap(name => [...text(name), ...int32(2), 0, 0, 0, 0, ...int32(1), ...int32(1)]);
+    attribute('channels', 'chlist', [...channelList, 0]);
+    attribute('compression', 'compression', [0]);
+    attribute('dataWindow', 'box2i', [...int32(0), ...int32(0), ...int32(width - 1), ...int32(height - 1)]);
+    attribute('displayWindow', 'box2i', [...int32(0), ...int32(0), ...int32(width - 1), ...int32(height - 1)]);
+    attribute('lineOrder', 'lineOrder', [0]);
+    attribute('pixelAspectRatio', 'float', float32(1));
+    attribute('screenWindowCenter', 'v2f', [...float32(0), ...float32(0)]);
+    attribute('screenWindowWidth', 'float', float32(1));
+    header.push(0);
+
+    const lineBytes = width * 4 * 4;
+    const blockBytes = 8 + lineBytes;
+    const tableStart = 8 + header.length;
+    const dataStart = tableStart + height * 8;
+    const out = new Uint8Array(dataStart + height * blockBytes);
+    const view = new DataView(out.buffer);
+
+    view.setUint32(0, 20000630, true);
+    view.setUint32(4, 2, true);
+    out.set(header, 8);
+
+    // RGBA source order, channels stored alphabetically
+    const sourceChannel = [3, 2, 1, 0];
+    for (let y = 0; y < height; y++) {
+        const block = dataStart + y * blockBytes;
+        view.setBigUint64(tableStart + y * 8, BigInt(block), true);
+        view.setInt32(block, y, true);
+        view.setInt32(block + 4, lineBytes, true);
+        sourceChannel.forEach((c, k) => {
+            const channelStart = block + 8 + k * width * 4;
+            for (let x = 0; x < width; x++) {
+                view.setFloat32(channelStart + x * 4, data[(y * width + x) * 4 + c], true);
+            }
+        });
+    }
+
+    return new Blob([out], { type: 'image/x-exr' });
+}
@@ -0,0 +1,316 @@
+/**
+ * LUT inspector
+ * Samples a LUT on a regular grid through the same CPU path used for baking
+ * and shows the result three ways: the lattice in 3D, response curves and
+ * summary statistics.
+ */
+import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+
+// Lattice drawn in the 3D view; larger cubes are resampled down to this
+const VIEW_GRID = 17;
+// Statistics use the LUT's own lattice, capped to keep large cubes responsive
+const MAX_STATS_GRID = 65;
+const ONE_D_GRID = 33;
+const PLOT_STEPS = 256;
+const CHANNEL_COLORS = ['#f87171', '#4ade80', '#60a5fa'];
+
+function inputDomain(lut) {
+    return lut.type === '1D' ? lut : (lut.shaper || lut);
+}
+
+function formatTriplet(values) {
+    return values.map(v => v.toFixed(3)).join(', ');
+}
+
+/**
+ * Sample a LUT over its input domain on an n×n×n grid and gather statistics.
+ * evaluate(r, g, b) returns the graded [r, g, b] for a point of the domain.
+ * Grid points are stored red-fastest, like LUT data.
+ */
+export function analyzeLUT(lut, evaluate, gridSize) {
+    const n = gridSize;
+    const { min, max } = inputDomain(lut);
+    const input = new Float32Array(n * n * n * 3);
+    const output = new Float32Array(n * n * n * 3);
+
+    let outOfRange = 0;
+    let maxDeviation = 0;
+    let maxDeviationAt = [0, 0, 0];
+    const outputMin = [Infinity, Infinity, Infinity];
+    const outputMax = [-Infinity, -Infinity, -Infinity];
+
+    for (let b = 0; b < n; b++) {
+        for (let g = 0; g < n; g++) {
+            for (let r = 0; r < n; r++) {
+                const i = (r + g * n + b * n * n) * 3;
+                const point = [r, g, b].map((v, c) => min[c] + (v / (n - 1)) * (max[c] - min[c]));
+                const result = evaluate(point[0], point[1], point[2]);
+
+                let deviation = 0;
+                for (let c = 0; c < 3; c++) {
+                    input[i + c] = point[c];
+                    output[i + c] = result[c];
+                    if (result[c] < 0 || result[c] > 1) outOfRange++;
+                    outputMin[c] = Math.min(outputMin[c], result[c]);
+                    outputMax[c] = Math.max(outputMax[c], result[c]);
+                    deviation = Math.max(deviation, Math.abs(result[c] - point[c]));
+                }
+                if (deviation > maxDeviation) {
+                    maxDeviation = deviation;
+                    maxDeviationAt = point;
+                }
+            }
+        }
+    }
+
+    // Monotonic: each channel never decreases while its own input rises,
+    // checked along every lattice line of that axis
+    const strides = [1, n, n * n];
+    let decreasingLines = 0;
+    for (let c = 0; c < 3; c++) {
+        for (let line = 0; line < n * n; line++) {
+            // The two other axes pick the line; walk the remaining one
+            const [u, v] = [line % n, Math.floor(line / n)];
+            const others = strides.filter((_, axis) => axis !== c);
+            const start = u * others[0] + v * others[1];
+            for (let step = 1; step < n; step++) {
+                const prev = (start + (step - 1) * strides[c]) * 3 + c;
+                const next = (start + step * strides[c]) * 3 + c;
+                if (output[next] < output[prev] - 1e-6) {
+                    decreasingLines++;
+                    break;
+                }
+            }
+        }
+    }
+
+    return {
+        gridSize: n,
+        input,
+        output,
+        values: n * n * n * 3,
+        outOfRange,
+        outputMin,
+        outputMax,
+        maxDeviation,
+        maxDeviationAt,
+        decreasingLines,
+        monotonic: decreasingLines === 0
+    };
+}
+
+// Neutral-axis response and each channel's response with the other two at the domain minimum
+export function responseCurves(lut, evaluate, steps = PLOT_STEPS) {
+    const { min, max } = inputDomain(lut);
+    const neutral = [];
+    const channels = [[], [], []];
+
+    for (let i = 0; i <= steps; i++) {
+        const t = i / steps;
+        const point = [0, 1, 2].map(c => min[c] + t * (max[c] - min[c]));
+        neutral.push(evaluate(point[0], point[1], point[2]));
+        for (let c = 0; c < 3; c++) {
+            const single = [...min];
+            single[c] = point[c];
+            channels[c].push(evaluate(single[0], single[1], single[2])[c]);
+        }
+    }
+
+    return { steps, neutral, channels };
+}
+
+export class LUTInspector {
+    constructor(dialog) {
+        this.dialog = dialog;
+        this.titleEl = dialog.querySelector('.inspector-title');
+        this.viewEl = dialog.querySelector('.inspector-view');
+        this.neutralCanvas = dialog.querySelector('.inspector-neutral');
+        this.channelCanvas = dialog.querySelector('.inspector-channels');
+        this.statsEl = dialog.querySelector('.inspector-stats');
+        this.view = null;
+
+        dialog.querySelector('.inspector-close').onclick = () => dialog.close();
+    }
+
+    open(title, lut, evaluate) {
+        this.titleEl.textContent = title;
+        this.dialog.showModal();
+
+        const statsGrid = lut.type === '1D' ? ONE_D_GRID : Math.min(lut.size, MAX_STATS_GRID);
+        const stats = analyzeLUT(lut, evaluate, statsGrid);
+        const lattice = statsGrid === VIEW_GRID ? stats : analyzeLUT(lut, evaluate, VIEW_GRID);
+        const curves = responseCurves(lut, evaluate);
+
+        this.renderStats(lut, stats);
+        this.drawPlot(this.neutralCanvas, 'Neutral axis', [0, 1, 2].map(c => curves.neutral.map(rgb => rgb[c])));
+        this.drawPlot(this.channelCanvas, 'Per channel', curves.channels);
+        this.showLattice(lattice);
+    }
+
+    initView() {
+        const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+        renderer.setPixelRatio(window.devicePixelRatio);
+        this.viewEl.appendChild(renderer.domElement);
+
+        const camera = new THREE.PerspectiveCamera(40, 1, 0.01, 100);
+        camera.position.set(1.5, 1.1, 1.7);
+
+        const controls = new OrbitControls(camera, renderer.domElement);
+        controls.addEventListener('change', () => this.renderView());
+
+        // Unit cube the lattice lives in, centred on the origin
+        const scene = new THREE.Scene();
+        const cube = new THREE.LineSegments(
+            new THREE.EdgesGeometry(new THREE.BoxGeometry(1, 1, 1)),
+            new THREE.LineBasicMaterial({ color: 0x525252 })
+        );
+        scene.add(cube);
+
+        this.view = { renderer, camera, controls, scene, lattice: null };
+    }
+
+    // Points sit at each lattice node's output, coloured by its input, with a
+    // faint line back to where the identity would have put them
+    showLattice({ gridSize, input, output }) {
+        if (!this.view) this.initView();
+        const { renderer, camera, scene } = this.view;
+
+        if (this.view.lattice) {
+            scene.remove(this.view.lattice);
+            this.view.lattice.children.forEach(child => {
+                child.geometry.dispose();
+                child.material.dispose();
+            });
+        }
+
+        const count = gridSize * gridSize * gridSize;
+        const pointPositions = new Float32Array(count * 3);
+        const colors = new Float32Array(count * 3);
+        const linePositions = new Float32Array(count * 6);
+        const lineColors = new Float32Array(count * 6);
+        for (let i = 0; i < count * 3; i++) {
+            pointPositions[i] = output[i] - 0.5;
+            colors[i] = Math.max(0, Math.min(1, input[i]));
+        }
+        for (let i = 0; i < count; i++) {
+            for (let c = 0; c < 3; c++) {
+                linePositions[i * 6 + c] = input[i * 3 + c] - 0.5;
+                linePositions[i * 6 + 3 + c] = pointPositions[i * 3 + c];
+                lineColors[i * 6 + c] = colors[i * 3 + c];
+                lineColors[i * 6 + 3 + c] = colors[i * 3 + c];
+            }
+        }
+
+        // LUT axes map red, green, blue to x, y, z
+        const points = new THREE.BufferGeometry();
+        points.setAttribute('position', new THREE.BufferAttribute(pointPositions, 3));
+        points.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        const lines = new THREE.BufferGeometry();
+        lines.setAttribute('position', new THREE.BufferAttribute(linePositions, 3));
+        lines.setAttribute('color', new THREE.BufferAttribute(lineColors, 3));
+
+        const lattice = new THREE.Group();
+        lattice.add(new THREE.Points(points, new THREE.PointsMaterial({ size: 0.02, vertexColors: true })));
+        lattice.add(new THREE.LineSegments(lines, new THREE.LineBasicMaterial({
+            vertexColors: true,
+            transparent: true,
+            opacity: 0.25
+        })));
+        scene.add(lattice);
+        this.view.lattice = lattice;
+
+        const width = this.viewEl.clientWidth;
+        const height = this.viewEl.clientHeight;
+        renderer.setSize(width, height);
+        camera.aspect = width / height;
+        camera.updateProjectionMatrix();
+        this.renderView();
+    }
+
+    renderView() {
+        const { renderer, scene, camera } = this.view;
+        renderer.render(scene, camera);
+    }
+
+    // curves: three arrays of output values over the input domain
+    drawPlot(canvas, label, curves) {
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const pad = 8;
+
+        // Fit overshoot so out-of-range responses stay visible
+        const all = curves.flat();
+        const low = Math.min(0, ...all);
+        const high = Math.max(1, ...all);
+        const x = t => pad + t * (width - 2 * pad);
+        const y = v => height - pad - ((v - low) / (high - low)) * (height - 2 * pad);
+
+        ctx.fillStyle = '#050505';
+        ctx.fillRect(0, 0, width, height);
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+        ctx.lineWidth = 1;
+        for (let i = 0; i <= 4; i++) {
+            ctx.beginPath();
+            ctx.moveTo(x(i / 4), pad);
+            ctx.lineTo(x(i / 4), height - pad);
+            ctx.moveTo(pad, y(i / 4));
+            ctx.lineTo(width - pad, y(i / 4));
+            ctx.stroke();
+        }
+
+        ctx.setLineDash([4, 4]);
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+        ctx.beginPath();
+        ctx.moveTo(x(0), y(0));
+        ctx.lineTo(x(1), y(1));
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.globalCompositeOperation = 'lighter';
+        ctx.lineWidth = 1.5;
+        curves.forEach((values, c) => {
+            ctx.strokeStyle = CHANNEL_COLORS[c];
+            ctx.beginPath();
+            values.forEach((v, i) => {
+                const px = x(i / (values.length - 1));
+                if (i === 0) ctx.moveTo(px, y(v));
+                else ctx.lineTo(px, y(v));
+            });
+            ctx.stroke();
+        });
+        ctx.globalCompositeOperation = 'source-over';
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.font = '11px system-ui, sans-serif';
+        ctx.fillText(label, pad + 4, pad + 12);
+    }
+
+    renderStats(lut, stats) {
+        const { min, max } = inputDomain(lut);
+        const type = lut.type === '1D'
+            ? `1D, ${lut.size} entries`
+            : `3D, ${lut.size}³${lut.shaper ? ` with ${lut.shaper.size}-entry shaper` : ''}`;
+        const percent = (stats.outOfRange / stats.values * 100).toFixed(2);
+
+        const rows = [
+            ['Type', type],
+            ['Input domain', `${formatTriplet(min)} – ${formatTriplet(max)}`],
+            ['Output range', `${formatTriplet(stats.outputMin)} – ${formatTriplet(stats.outputMax)}`],
+            ['Out of range', `${stats.outOfRange} of ${stats.values} values (${percent}%)`],
+            ['Max deviation', `${stats.maxDeviation.toFixed(4)} at (${formatTriplet(stats.maxDeviationAt)})`],
+            ['Monotonic', stats.monotonic ? 'Yes' : `No, ${stats.decreasingLines} lattice lines decrease`],
+            ['Sampled grid', `${stats.gridSize}³`]
+        ];
+
+        this.statsEl.innerHTML = '';
+        rows.forEach(([label, value]) => {
+            const dt = document.createElement('dt');
+            dt.textContent = label;
+            const dd = document.createElement('dd');
+            dd.textContent = value;
+            this.statsEl.append(dt, dd);
+        });
+    }
+}
@@ -0,0 +1,315 @@
+/**
+ * LUT core
+ * Parsing, composing, resampling and writing LUTs without the DOM. The web
+ * app and the lut-merge CLI both bake through here, so the same chain and
+ * settings give byte-identical files in either.
+ *
+ * A link is one step of a chain: { lut: { data, inputSpace, outputSpace },
+ * intensity, adjust, blend, qualifier }, where data is a parsed LUT (see
+ * lut-parser.js), the spaces are optional colour space ids, adjust holds
+ * optional per-link adjustments (see adjustments.js), blend is a blend mode
+ * id (see blend-modes.js), normal when missing, and qualifier optionally
+ * limits the link to a range of colours (see qualifiers.js).
+ */
+import { getFormat, parseLUTBytes, validateLUTBytes } from './lut-formats';
+import { createConversion, getColorSpace, getTransfer } from './color-spaces';
+import { withAdjustments } from './adjustments';
+import { createBlend } from './blend-modes';
+import { createQualifier } from './qualifiers';
+
+export const UNIT_DOMAIN = { min: [0, 0, 0], max: [1, 1, 1] };
+
+// Scene-linear input runs well past 1.0, so a chain baked from a linear space
+// gets a shaper that log-encodes it up to max, with the curve of space, before the cube
+const LINEAR_SHAPER = { space: 'logc3', size: 4096, max: 16 };
+
+// Bake settings shared by preview and export; the web app starts from these too
+export const DEFAULT_SETTINGS = {
+    title: 'Merged LUT',
+    format: 'cube',
+    size: 33,
+    interpolation: 'tetrahedral',
+    inputSpace: 'srgb',
+    outputSpace: 'srgb'
+};
+
+// bytes: Uint8Array of the file; the name's extension picks the format, or sniffing does
+export function parseLUT(name, bytes) {
+    return parseLUTBytes(name, bytes);
+}
+
+// Like parseLUT, but resolves to { lut, issues } rather than throwing on the first problem
+export function validateLUT(name, bytes) {
+    return validateLUTBytes(name, bytes);
+}
+
+// The format's own output: a string for text formats, a Blob for image formats
+export function writeLUT(formatId, lut, title) {
+    return getFormat(formatId).write(lut, title);
+}
+
+// The samplers write into `out` when one is given (any array of three or more),
+// so the bake loop can reuse a single scratch array instead of allocating per sample
+export function applyLUT(lutData, r, g, b, interpolation = 'trilinear', out = [0, 0, 0]) {
+    if (lutData.type === '1D') return sample1DLUT(lutData, r, g, b, out);
+    if (lutData.shaper) {
+        sample1DLUT(lutData.shaper, r, g, b, out);
+        r = out[0];
+        g = out[1];
+        b = out[2];
+    }
+    return sampleLUT(lutData, r, g, b, interpolation, out);
+}
+
+export function sample1DLUT(table, r, g, b, out = [0, 0, 0]) {
+    const { size, data, min, max } = table;
+
+    for (let c = 0; c < 3; c++) {
+        const v = c === 0 ? r : c === 1 ? g : b;
+        const n = (v - min[c]) / (max[c] - min[c]);
+        const f = Math.max(0, Math.min(size - 1, n * (size - 1)));
+        const i0 = Math.min(size - 2, Math.floor(f));
+        const t = f - i0;
+        out[c] = data[i0 * 4 + c] * (1 - t) + data[(i0 + 1) * 4 + c] * t;
+    }
+    return out;
+}
+
+export function sampleLUT(lutData, r, g, b, interpolation = 'trilinear', out = [0, 0, 0]) {
+    const size = lutData.size;
+    const data = lutData.data;
+    const { min, max } = lutData;
+
+    // Normalize from the LUT's input domain to 0-1 before finding the lattice cell
+    const nr = (r - min[0]) / (max[0] - min[0]);
+    const ng = (g - min[1]) / (max[1] - min[1]);
+    const nb = (b - min[2]) / (max[2] - min[2]);
+
+    const fr = Math.max(0, Math.min(size - 1, nr * (size - 1)));
+    const fg = Math.max(0, Math.min(size - 1, ng * (size - 1)));
+    const fb = Math.max(0, Math.min(size - 1, nb * (size - 1)));
+
+    // The last cell also covers the top edge, so 1.0 lands on the final lattice point
+    const r0 = Math.min(size - 2, Math.floor(fr));
+    const g0 = Math.min(size - 2, Math.floor(fg));
+    const b0 = Math.min(size - 2, Math.floor(fb));
+
+    const dr = fr - r0;
+    const dg = fg - g0;
+    const db = fb - b0;
+
+    // Offsets of the cell's eight corners in the RGBA data
+    const sr = 4;
+    const sg = size * 4;
+    const sb = size * size * 4;
+    const c000 = (r0 + g0 * size + b0 * size * size) * 4;
+    const c100 = c000 + sr;
+    const c010 = c000 + sg;
+    const c110 = c000 + sr + sg;
+    const c001 = c000 + sb;
+    const c101 = c000 + sr + sb;
+    const c011 = c000 + sg + sb;
+    const c111 = c000 + sr + sg + sb;
+
+    if (interpolation === 'tetrahedral') {
+        return tetrahedral(data, c000, c100, c010, c110, c001, c101, c011, c111, dr, dg, db, out);
+    }
+
+    for (let i = 0; i < 3; i++) {
+        const x0 = data[c000 + i] * (1 - dr) + data[c100 + i] * dr;
+        const x1 = data[c010 + i] * (1 - dr) + data[c110 + i] * dr;
+        const x2 = data[c001 + i] * (1 - dr) + data[c101 + i] * dr;
+        const x3 = data[c011 + i] * (1 - dr) + data[c111 + i] * dr;
+
+        const y0 = x0 * (1 - dg) + x1 * dg;
+        const y1 = x2 * (1 - dg) + x3 * dg;
+
+        out[i] = y0 * (1 - db) + y1 * db;
+    }
+    return out;
+}
+
+// Split the cell into six tetrahedra along the neutral diagonal, which keeps
+// greys on the c000-c111 axis free of the hue shifts trilinear introduces
+function tetrahedral(data, c000, c100, c010, c110, c001, c101, c011, c111, dr, dg, db, out) {
+    if (dr > dg) {
+        if (dg > db) return weigh(data, out, c000, c100, c110, c111, 1 - dr, dr - dg, dg - db, db);
+        if (dr > db) return weigh(data, out, c000, c100, c101, c111, 1 - dr, dr - db, db - dg, dg);
+        return weigh(data, out, c000, c001, c101, c111, 1 - db, db - dr, dr - dg, dg);
+    }
+    if (db > dg) return weigh(data, out, c000, c001, c011, c111, 1 - db, db - dg, dg - dr, dr);
+    if (db > dr) return weigh(data, out, c000, c010, c011, c111, 1 - dg, dg - db, db - dr, dr);
+    return weigh(data, out, c000, c010, c110, c111, 1 - dg, dg - dr, dr - db, db);
+}
+
+// Weighted sum of one tetrahedron's four corners into out
+function weigh(data, out, a, b, c, d, wa, wb, wc, wd) {
+    for (let i = 0; i < 3; i++) {
+        out[i] = data[a + i] * wa + data[b + i] * wb + data[c + i] * wc + data[d + i] * wd;
+    }
+    return out;
+}
+
+// The chain as a list of stages, with colour conversions inserted wherever the
+// signal's space differs from what the next LUT expects, then the output transform.
+// LUTs that declare no input space take the signal as it is.
+export function chainStages(links, { interpolation, inputSpace, outputSpace } = DEFAULT_SETTINGS) {
+    const stages = [];
+    let current = inputSpace;
+    const convertTo = (space) => {
+        const convert = createConversion(current, space);
+        if (convert) stages.push({ apply: convert, intensity: 1, blend: null, qualify: null, lut: null });
+        current = space;
+    };
+
+    for (const { lut, intensity, adjust, blend, qualifier } of links) {
+        if (lut.inputSpace) convertTo(lut.inputSpace);
+        const apply = (r, g, b, out) => applyLUT(lut.data, r, g, b, interpolation, out);
+        stages.push({
+            apply: withAdjustments(apply, adjust, current, lut.outputSpace || current),
+            intensity,
+            blend: createBlend(blend),
+            qualify: createQualifier(qualifier),
+            lut: lut.data
+        });
+        if (lut.outputSpace) current = lut.outputSpace;
+    }
+    convertTo(outputSpace);
+
+    return stages;
+}
+
+/**
+ * Collapse a chain into a single 3D LUT of the given size, or null when there
+ * is nothing to bake. The cube takes its input domain from the first LUT in
+ * the chain, unless the signal is converted before reaching it or a domain
+ * is given; chains from a linear input space are shaped to hold highlights.
+ */
+export function composeLUTs(links, size, settings = DEFAULT_SETTINGS, domain = null) {
+    const bounds = chainDomain(links, settings, domain);
+    if (!bounds) return null;
+
+    const data = bakePlanes(links, size, settings, bounds, 0, size);
+    return compositeLUT(bounds, size, data);
+}
+
+/**
+ * The input domain composeLUTs bakes a chain over, or null for an empty chain:
+ * { min, max, shaper }, where shaper describes the curve in front of the cube
+ * (see LINEAR_SHAPER) or is null. A given domain never gets a shaper.
+ */
+export function chainDomain(links, settings = DEFAULT_SETTINGS, domain = null) {
+    const stages = chainStages(links, settings);
+    if (stages.length === 0) return null;
+    if (domain) return { min: domain.min, max: domain.max, shaper: null };
+
+    if (getColorSpace(settings.inputSpace)?.transfer === 'linear') {
+        const top = getTransfer(LINEAR_SHAPER.space).encode(LINEAR_SHAPER.max);
+        return { min: [0, 0, 0], max: [top, top, top], shaper: LINEAR_SHAPER };
+    }
+    const first = stages[0].lut;
+    const { min, max } = first ? first.shaper || first : UNIT_DOMAIN;
+    return { min, max, shaper: null };
+}
+
+// The LUT a chain baked over chainDomain's bounds makes of the cube data
+export function compositeLUT({ min, max, shaper }, size, data) {
+    return { type: '3D', size, min: [...min], max: [...max], data, shaper: shaper ? shaperTable(shaper) : null };
+}
+
+// The shaper as a 1D LUT over the linear range whose encoding fills 0 to the cube's top
+function shaperTable({ space, size, max }) {
+    const { encode, decode } = getTransfer(space);
+    const min = decode(0);
+    const data = new Float32Array(size * 4);
+    for (let i = 0; i < size; i++) {
+        const v = encode(min + (i / (size - 1)) * (max - min));
+        data.set([v, v, v, 1], i * 4);
+    }
+    return { size, min: [min, min, min], max: [max, max, max], data };
+}
+
+/**
+ * Bake the lattice planes start..end-1 along blue, the slowest axis in memory,
+ * over the given domain. The planes of one cube can be baked separately and
+ * concatenated, which is how the worker pool splits a merge.
+ */
+export function bakePlanes(links, size, settings, { min, max, shaper = null }, start, end) {
+    const stages = chainStages(links, settings);
+    const decode = shaper ? getTransfer(shaper.space).decode : null;
+    const data = new Float32Array((end - start) * size * size * 4);
+    const result = new Float64Array(3);
+    let idx = 0;
+
+    for (let b = start; b < end; b++) {
+        for (let g = 0; g < size; g++) {
+            for (let r = 0; r < size; r++) {
+                let currR = min[0] + (r / (size - 1)) * (max[0] - min[0]);
+                let currG = min[1] + (g / (size - 1)) * (max[1] - min[1]);
+                let currB = min[2] + (b / (size - 1)) * (max[2] - min[2]);
+                if (decode) {
+                    // Lattice points sit on the shaper's encoding of the input
+                    currR = decode(currR);
+                    currG = decode(currG);
+                    currB = decode(currB);
+                }
+
+                for (const { apply, intensity, blend, qualify } of stages) {
+                    // Qualifiers weigh the link by the colour coming into it
+                    const amount = qualify ? intensity * qualify(currR, currG, currB) : intensity;
+                    apply(currR, currG, currB, result);
+                    if (blend) blend(currR, currG, currB, result);
+                    currR = currR * (1 - amount) + result[0] * amount;
+                    currG = currG * (1 - amount) + result[1] * amount;
+                    currB = currB * (1 - amount) + result[2] * amount;
+                }
+
+                data[idx] = currR;
+                data[idx + 1] = currG;
+                data[idx + 2] = currB;
+                data[idx + 3] = 1.0;
+                idx += 4;
+            }
+        }
+    }
+
+    return data;
+}
+
+// Any LUT (1D, shaper + cube, another size) as a plain 3D cube of the given size
+export function resampleLUT(lutData, size, { interpolation = DEFAULT_SETTINGS.interpolation, domain = null } = {}) {
+    return composeLUTs([{ lut: { data: lutData }, intensity: 1 }], size, { interpolation }, domain);
+}
+
+/**
+ * Bake a chain for export in the given settings' format: the size is snapped
+ * to what the format can store and formats without an input domain get 0-1.
+ * Resolves to the file contents, or null for an empty chain.
+ */
+export async function exportChain(links, settings = DEFAULT_SETTINGS) {
+    const { format, size, domain } = exportTarget(settings);
+    const merged = composeLUTs(links, size, settings, domain);
+    if (!merged) return null;
+    return writeLUT(format.id, merged, settings.title || DEFAULT_SETTINGS.title);
+}
+
+// The format, lattice size and forced domain (or null) an export bakes with
+export function exportTarget(settings) {
+    const format = getFormat(settings.format);
+    const size = format.normalizeSize ? format.normalizeSize(settings.size) : settings.size;
+    return { format, size, domain: format.supportsDomain ? null : UNIT_DOMAIN };
+}
+
+// Grade a float image ({ width, height, data: RGBA }) with a baked LUT on the CPU
+export function applyLUTToImage(image, lutData, interpolation = DEFAULT_SETTINGS.interpolation) {
+    const data = new Float32Array(image.data.length);
+    const rgb = new Float64Array(3);
+    for (let i = 0; i < data.length; i += 4) {
+        applyLUT(lutData, image.data[i], image.data[i + 1], image.data[i + 2], interpolation, rgb);
+        data[i] = rgb[0];
+        data[i + 1] = rgb[1];
+        data[i + 2] = rgb[2];
+        data[i + 3] = image.data[i + 3];
+    }
+    return { ...image, data };
+}
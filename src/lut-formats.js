@@ -0,0 +1,164 @@
+/**
+ * LUT format registry
+ * Each format describes how to recognise, parse and write one file type.
+ * Parsers return the shared LUT shape documented in lut-parser.js.
+ */
+
+import { MAX_3D_SIZE, RANGE_TOLERANCE } from './lut-parser';
+import { cubeFormat } from './formats/cube';
+import { threeDLFormat } from './formats/threedl';
+import { cspFormat } from './formats/csp';
+import { haldFormat } from './formats/hald';
+
+const formats = new Map();
+
+/**
+ * format: {
+ *   id, name, extensions: ['cube'], mimeType,
+ *   binary: false,             // parse receives a Uint8Array instead of text
+ *   supportsDomain: true,      // can store a non 0-1 input domain
+ *   detect(content) -> bool,   // content sniffing when the extension is unknown
+ *   parse(content) -> lut | Promise<lut>,
+ *   validate(content) -> { lut, issues }, // optional, see validateLUTBytes
+ *   write(lut, title) -> string | Blob | Promise<Blob>,
+ *   normalizeSize(size) -> size // optional, for formats with constrained cube sizes
+ * }
+ */
+export function registerFormat(format) {
+    formats.set(format.id, format);
+}
+
+export function getFormat(id) {
+    const format = formats.get(id);
+    if (!format) throw new Error(`Unknown LUT format: ${id}`);
+    return format;
+}
+
+export function listFormats() {
+    return Array.from(formats.values());
+}
+
+export function acceptedExtensions() {
+    return listFormats().flatMap(f => f.extensions.map(ext => `.${ext}`)).join(',');
+}
+
+export function detectFormat(fileName, bytes) {
+    const ext = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+    const byExtension = listFormats().find(f => f.extensions.includes(ext));
+    if (byExtension) return byExtension;
+
+    const text = new TextDecoder().decode(bytes.subarray(0, 4096));
+    for (const format of listFormats()) {
+        if (format.detect(format.binary ? bytes : text)) return format;
+    }
+    throw new Error(`Unrecognized LUT format: ${fileName}`);
+}
+
+export function parseLUTBytes(fileName, bytes) {
+    const format = detectFormat(fileName, bytes);
+    const content = format.binary ? bytes : new TextDecoder().decode(bytes);
+    return format.parse(content);
+}
+
+/**
+ * Parse a file and report what is wrong with it instead of throwing: returns
+ * { lut, issues } (issues as described in lut-parser.js), lut being null when
+ * any issue is an error. Formats without a validate() report the error
+ * their parser throws, then what a pass over the parsed tables finds.
+ */
+export async function validateLUTBytes(fileName, bytes) {
+    const issues = [];
+    let format;
+    try {
+        format = detectFormat(fileName, bytes);
+    } catch (err) {
+        return { lut: null, issues: [{ severity: 'error', line: null, message: err.message }] };
+    }
+
+    let content = bytes;
+    if (!format.binary) {
+        // TextDecoder drops the BOM and the parsers accept any line ending
+        if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+            issues.push({ severity: 'info', line: null, message: 'UTF-8 byte order mark ignored' });
+        }
+        content = new TextDecoder().decode(bytes);
+        issues.push(...lineEndingIssues(content));
+    }
+
+    let lut = null;
+    try {
+        if (format.validate) {
+            const result = format.validate(content);
+            lut = result.lut;
+            issues.push(...result.issues);
+        } else {
+            lut = await format.parse(content);
+            issues.push(...tableIssues(lut));
+        }
+    } catch (err) {
+        issues.push({ severity: 'error', line: null, message: err.message });
+    }
+
+    if (lut && lut.type === '3D' && lut.size > MAX_3D_SIZE) {
+        issues.push({ severity: 'error', line: null, message: `Cube size ${lut.size} is larger than ${MAX_3D_SIZE}, the most WebGL can hold` });
+    }
+    if (issues.some(issue => issue.severity === 'error')) lut = null;
+    return { lut, issues };
+}
+
+// Non-finite values (errors) and output outside 0-1 (one warning) anywhere in
+// the parsed tables; the cube parser reports these itself, with line numbers
+function tableIssues(lut) {
+    let nonFinite = 0;
+    let outside = 0;
+    let low = Infinity;
+    let high = -Infinity;
+    for (const table of lut.shaper ? [lut.shaper, lut] : [lut]) {
+        table.data.forEach((v, i) => {
+            if (i % 4 === 3) return;
+            if (!Number.isFinite(v)) {
+                nonFinite++;
+                return;
+            }
+            low = Math.min(low, v);
+            high = Math.max(high, v);
+            if (v < -RANGE_TOLERANCE || v > 1 + RANGE_TOLERANCE) outside++;
+        });
+    }
+
+    const issues = [];
+    if (nonFinite > 0) {
+        issues.push({ severity: 'error', line: null, message: `${nonFinite} value${nonFinite === 1 ? ' is' : 's are'} not finite (NaN or infinity)` });
+    }
+    if (outside > 0) {
+        issues.push({ severity: 'warning', line: null, message: `${outside} output value${outside === 1 ? '' : 's'} outside 0-1, the table spans ${low} to ${high}; they may clip` });
+    }
+    return issues;
+}
+
+function lineEndingIssues(text) {
+    let crlf = 0;
+    let cr = 0;
+    let lf = 0;
+    for (let i = 0; i < text.length; i++) {
+        const c = text.charCodeAt(i);
+        if (c === 13 && text.charCodeAt(i + 1) === 10) {
+            crlf++;
+            i++;
+        } else if (c === 13) {
+            cr++;
+        } else if (c === 10) {
+            lf++;
+        }
+    }
+
+    const kinds = [[crlf, 'CRLF'], [cr, 'CR'], [lf, 'LF']].filter(([count]) => count > 0).map(([, name]) => name);
+    if (kinds.length > 1) return [{ severity: 'info', line: null, message: `Mixed ${kinds.join(', ')} line endings` }];
+    if (crlf || cr) return [{ severity: 'info', line: null, message: `${kinds[0]} line endings` }];
+    return [];
+}
+
+registerFormat(cubeFormat);
+registerFormat(threeDLFormat);
+registerFormat(cspFormat);
+registerFormat(haldFormat);
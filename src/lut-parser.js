@@ -1,65 +1,271 @@
 /**
  * CUBE LUT Parser
- * Based on the Adobe CUBE specification
+ * Based on the Adobe CUBE specification, plus the Resolve extension that
+ * pairs a 1D shaper with a 3D cube in a single file.
+ *
+ * Parsed LUTs share one shape: `type` is '1D' or '3D', `size`, `min`, `max`
+ * and RGBA `data` describe the main table, and a 3D LUT may carry a
+ * `shaper` ({ size, min, max, data }) that is applied before the cube.
+ *
+ * Validation reports issues as { severity, line, message }: severity is
+ * 'error' (the file cannot be used), 'warning' (it can, but the user should
+ * decide) or 'info', and line is 1-based or null when it concerns the file.
  */
 
+// WebGL 2 guarantees 3D textures of 256 texels a side, so larger cubes can't be previewed
+export const MAX_3D_SIZE = 256;
+export const MAX_1D_SIZE = 65536;
+
+const KEYWORDS = ['TITLE', 'LUT_1D_SIZE', 'LUT_3D_SIZE', 'DOMAIN_MIN', 'DOMAIN_MAX', 'LUT_1D_INPUT_RANGE', 'LUT_3D_INPUT_RANGE'];
+const NON_FINITE = /^[+-]?(nan|inf(inity)?)$/i;
+// Malformed rows are listed one by one up to this many, then counted
+const MAX_ROW_ERRORS = 10;
+// Output beyond 0-1 by less than one 10-bit code value is rounding, not a problem
+export const RANGE_TOLERANCE = 1 / 1024;
+
+// CRLF and bare CR line endings both occur in the wild; every text format splits with this
+export function splitLines(text) {
+    return text.split(/\r\n|\r|\n/);
+}
+
+export function describeIssue({ line, message }) {
+    return line ? `line ${line}: ${message}` : message;
+}
+
 export function parseCubeLUT(fileContent) {
-    const lines = fileContent.split('\n');
+    const { lut, issues } = validateCubeLUT(fileContent);
+    const error = issues.find(issue => issue.severity === 'error');
+    if (error) throw new Error(`Invalid LUT: ${describeIssue(error)}`);
+    return lut;
+}
+
+/**
+ * Parse a .cube file, collecting every problem instead of stopping at the
+ * first. Returns { lut, issues }, with lut null when there are errors.
+ */
+export function validateCubeLUT(fileContent) {
+    const issues = [];
+    const report = (severity, message, line = null) => issues.push({ severity, line, message });
+
+    const lines = splitLines(fileContent);
     let title = '';
-    let size = 0;
-    let min = [0, 0, 0];
-    let max = [1, 1, 1];
-    const data = [];
+    let size1D = 0;
+    let size3D = 0;
+    let sizeFound = false;
+    let domainMin = null;
+    let domainMax = null;
+    let range1D = null;
+    let range3D = null;
+    const rows = [];
+    // Source line of each row, for pointing at extra or out-of-range rows
+    const rowLines = [];
+    const seen = new Set();
+    let badRows = 0;
 
-    for (let line of lines) {
-        line = line.trim();
+    const readNumbers = (parts, count, lineNumber) => {
+        const values = parts.slice(1).map(Number);
+        if (values.length !== count || !values.every(Number.isFinite)) {
+            report('error', `${parts[0]} should hold ${count === 3 ? 'three' : 'two'} numbers, got "${parts.slice(1).join(' ')}"`, lineNumber);
+            return null;
+        }
+        return values;
+    };
+
+    for (const [index, rawLine] of lines.entries()) {
+        const lineNumber = index + 1;
+        const line = rawLine.trim();
         if (!line || line.startsWith('#')) continue;
 
         const parts = line.split(/\s+/);
         const command = parts[0].toUpperCase();
 
+        if (KEYWORDS.includes(command)) {
+            if (seen.has(command)) report('warning', `${command} appears more than once; the last one is used`, lineNumber);
+            seen.add(command);
+        }
+
         if (command === 'TITLE') {
             title = parts.slice(1).join(' ').replace(/"/g, '');
-        } else if (command === 'LUT_3D_SIZE') {
-            size = parseInt(parts[1], 10);
+        } else if (command === 'LUT_3D_SIZE' || command === 'LUT_1D_SIZE') {
+            sizeFound = true;
+            const is3D = command === 'LUT_3D_SIZE';
+            const limit = is3D ? MAX_3D_SIZE : MAX_1D_SIZE;
+            const size = Number(parts[1]);
+            if (parts.length !== 2 || !Number.isInteger(size) || size < 2) {
+                report('error', `${command} should be a whole number of at least 2, got "${parts.slice(1).join(' ')}"`, lineNumber);
+            } else if (size > limit) {
+                report('error', `${command} ${size} is larger than ${limit}, the most ${is3D ? 'WebGL can hold' : 'the format allows'}`, lineNumber);
+            } else if (is3D) {
+                size3D = size;
+            } else {
+                size1D = size;
+            }
         } else if (command === 'DOMAIN_MIN') {
-            min = [parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3])];
+            domainMin = readNumbers(parts, 3, lineNumber);
         } else if (command === 'DOMAIN_MAX') {
-            max = [parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3])];
-        } else if (!isNaN(parseFloat(parts[0]))) {
-            data.push(parseFloat(parts[0]), parseFloat(parts[1]), parseFloat(parts[2]), 1.0); // RGBA
+            domainMax = readNumbers(parts, 3, lineNumber);
+        } else if (command === 'LUT_1D_INPUT_RANGE') {
+            range1D = readNumbers(parts, 2, lineNumber);
+        } else if (command === 'LUT_3D_INPUT_RANGE') {
+            range3D = readNumbers(parts, 2, lineNumber);
+        } else if (!isNaN(parseFloat(parts[0])) || NON_FINITE.test(parts[0])) {
+            const values = parts.map(Number);
+            let problem = null;
+            if (parts.some(part => NON_FINITE.test(part)) || values.some(v => Math.abs(v) === Infinity)) {
+                problem = `expected finite numbers, got "${line}"`;
+            } else if (values.length !== 3 || values.some(isNaN)) {
+                problem = `expected three numbers, got "${line}"`;
+            }
+            if (problem) {
+                badRows++;
+                if (badRows <= MAX_ROW_ERRORS) report('error', problem, lineNumber);
+                continue;
+            }
+            rows.push(values);
+            rowLines.push(lineNumber);
+        } else {
+            report('warning', `Unknown keyword ${parts[0]} ignored`, lineNumber);
         }
     }
 
-    if (size === 0) throw new Error('Invalid LUT: LUT_3D_SIZE not found');
-    if (data.length !== size * size * size * 4) {
-         // Some LUTs might not have alpha, let's adjust if needed
-         if (data.length === size * size * size * 3) {
-             const rgbaData = new Float32Array(size * size * size * 4);
-             for(let i=0; i<size*size*size; i++) {
-                 rgbaData[i*4] = data[i*3];
-                 rgbaData[i*4+1] = data[i*3+1];
-                 rgbaData[i*4+2] = data[i*3+2];
-                 rgbaData[i*4+3] = 1.0;
-             }
-             return { title, size, min, max, data: rgbaData };
-         }
-         throw new Error(`Data size mismatch: expected ${size*size*size*3} or ${size*size*size*4}, got ${data.length}`);
+    if (badRows > MAX_ROW_ERRORS) report('error', `${badRows - MAX_ROW_ERRORS} more malformed rows`);
+    if (!sizeFound) report('error', 'LUT_1D_SIZE or LUT_3D_SIZE not found');
+
+    if (domainMin && domainMax && domainMin.some((v, c) => v >= domainMax[c])) {
+        report('error', 'DOMAIN_MIN should be below DOMAIN_MAX on every channel');
+    }
+    for (const [range, name] of [[range1D, 'LUT_1D_INPUT_RANGE'], [range3D, 'LUT_3D_INPUT_RANGE']]) {
+        if (range && range[0] >= range[1]) report('error', `${name} should go from low to high`);
+    }
+
+    const count1D = size1D;
+    const count3D = size3D * size3D * size3D;
+    const expected = count1D + count3D;
+    if (!issues.some(issue => issue.severity === 'error') && rows.length !== expected) {
+        // Extra rows point at the first one past the declared count
+        report('error', `Data size mismatch: expected ${expected} entries, got ${rows.length}`, rows.length > expected ? rowLines[expected] : null);
+    }
+
+    if (issues.some(issue => issue.severity === 'error')) return { lut: null, issues };
+
+    checkRange(rows, rowLines, report);
+
+    // DOMAIN_MIN/MAX describe the table that receives the input values,
+    // which is the shaper when a file carries both sections.
+    const domainFor = (range) => {
+        if (range) return { min: [range[0], range[0], range[0]], max: [range[1], range[1], range[1]] };
+        return { min: domainMin || [0, 0, 0], max: domainMax || [1, 1, 1] };
+    };
+
+    const shaper = size1D > 0
+        ? { size: size1D, ...domainFor(range1D), data: toRGBA(rows, 0, count1D) }
+        : null;
+
+    if (size3D === 0) {
+        return { lut: { type: '1D', title, size: shaper.size, min: shaper.min, max: shaper.max, data: shaper.data }, issues };
     }
 
-    return { title, size, min, max, data: new Float32Array(data) };
+    const cubeDomain = shaper && !range3D ? { min: [0, 0, 0], max: [1, 1, 1] } : domainFor(range3D);
+    const lut = {
+        type: '3D',
+        title,
+        size: size3D,
+        min: cubeDomain.min,
+        max: cubeDomain.max,
+        data: toRGBA(rows, count1D, count3D),
+        shaper
+    };
+    return { lut, issues };
+}
+
+// One warning for all output outside 0-1, pointing at the first such row
+function checkRange(rows, rowLines, report) {
+    let count = 0;
+    let first = null;
+    let low = Infinity;
+    let high = -Infinity;
+    rows.forEach((row, i) => {
+        for (const v of row) {
+            low = Math.min(low, v);
+            high = Math.max(high, v);
+            if (v >= -RANGE_TOLERANCE && v <= 1 + RANGE_TOLERANCE) continue;
+            count++;
+            if (first === null) first = rowLines[i];
+        }
+    });
+    if (count > 0) {
+        report('warning', `${count} output value${count === 1 ? '' : 's'} outside 0-1, the table spans ${low} to ${high}; they may clip`, first);
+    }
 }
 
-export function generateCubeLUT(size, data, title = 'Merged LUT') {
+export function generateCubeLUT(lut, title = 'Merged LUT') {
     let cube = `# Created by LUT Merge\n`;
     cube += `TITLE "${title}"\n`;
-    cube += `LUT_3D_SIZE ${size}\n`;
-    cube += `DOMAIN_MIN 0.0 0.0 0.0\n`;
-    cube += `DOMAIN_MAX 1.0 1.0 1.0\n\n`;
 
-    for (let i = 0; i < data.length; i += 4) {
-        cube += `${data[i].toFixed(6)} ${data[i+1].toFixed(6)} ${data[i+2].toFixed(6)}\n`;
+    if (lut.type === '1D') {
+        cube += `LUT_1D_SIZE ${lut.size}\n`;
+        cube += `DOMAIN_MIN ${formatDomain(lut.min)}\n`;
+        cube += `DOMAIN_MAX ${formatDomain(lut.max)}\n\n`;
+    } else if (lut.shaper) {
+        // LUT_3D_INPUT_RANGE is the same on every channel, so a per-channel cube
+        // domain is folded into the shaper's output and the cube takes 0-1
+        const shaper = isUniform(lut) ? lut.shaper : foldDomain(lut.shaper, lut);
+        const cubeRange = isUniform(lut) ? [lut.min[0], lut.max[0]] : [0, 1];
+        cube += `LUT_1D_SIZE ${shaper.size}\n`;
+        // DOMAIN_MIN/MAX describe the shaper in a file with both sections
+        if (isUniform(shaper)) {
+            cube += `LUT_1D_INPUT_RANGE ${formatDomain([shaper.min[0], shaper.max[0]])}\n`;
+        } else {
+            cube += `DOMAIN_MIN ${formatDomain(shaper.min)}\n`;
+            cube += `DOMAIN_MAX ${formatDomain(shaper.max)}\n`;
+        }
+        cube += `LUT_3D_SIZE ${lut.size}\n`;
+        cube += `LUT_3D_INPUT_RANGE ${formatDomain(cubeRange)}\n\n`;
+        cube += formatRows(shaper.data);
+    } else {
+        cube += `LUT_3D_SIZE ${lut.size}\n`;
+        cube += `DOMAIN_MIN ${formatDomain(lut.min)}\n`;
+        cube += `DOMAIN_MAX ${formatDomain(lut.max)}\n\n`;
     }
 
+    cube += formatRows(lut.data);
     return cube;
 }
+
+function isUniform({ min, max }) {
+    return min.every(v => v === min[0]) && max.every(v => v === max[0]);
+}
+
+// The shaper with the cube's domain normalisation applied to its output. Both
+// are linear per channel, so the pair samples exactly as before.
+function foldDomain(shaper, { min, max }) {
+    const data = shaper.data.slice();
+    for (let i = 0; i < data.length; i += 4) {
+        for (let c = 0; c < 3; c++) data[i + c] = (data[i + c] - min[c]) / (max[c] - min[c]);
+    }
+    return { ...shaper, data };
+}
+
+function toRGBA(rows, start, count) {
+    const rgba = new Float32Array(count * 4);
+    for (let i = 0; i < count; i++) {
+        const row = rows[start + i];
+        rgba[i * 4] = row[0];
+        rgba[i * 4 + 1] = row[1];
+        rgba[i * 4 + 2] = row[2];
+        rgba[i * 4 + 3] = 1.0;
+    }
+    return rgba;
+}
+
+function formatRows(data) {
+    let rows = '';
+    for (let i = 0; i < data.length; i += 4) {
+        rows += `${data[i].toFixed(6)} ${data[i+1].toFixed(6)} ${data[i+2].toFixed(6)}\n`;
+    }
+    return rows;
+}
+
+function formatDomain(values) {
+    return values.map(v => (Number.isInteger(v) ? v.toFixed(1) : String(v))).join(' ');
+}
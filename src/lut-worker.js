@@ -0,0 +1,40 @@
+/**
+ * LUT worker
+ * Runs parse and bake tasks for the worker pool (see worker-pool.js). LUT
+ * tables are cached here between bakes; each bake message carries only the
+ * tables this worker has not seen and the ids it may drop.
+ */
+import { validateLUT, bakePlanes } from './lut-core';
+
+const tables = new Map();
+
+function lutBuffers(lut) {
+    return lut.shaper ? [lut.data.buffer, lut.shaper.data.buffer] : [lut.data.buffer];
+}
+
+async function run(task) {
+    if (task.type === 'parse') {
+        const report = await validateLUT(task.name, task.bytes);
+        return { result: report, transfer: report.lut ? lutBuffers(report.lut) : [] };
+    }
+
+    if (task.type === 'bake') {
+        for (const [key, table] of task.tables) tables.set(key, table);
+        for (const key of task.evict) tables.delete(key);
+
+        const links = task.links.map(link => ({ ...link, lut: { ...link.lut, data: tables.get(link.lut.table) } }));
+        const slab = bakePlanes(links, task.size, task.settings, task.domain, task.start, task.end);
+        return { result: slab, transfer: [slab.buffer] };
+    }
+
+    throw new Error(`Unknown task: ${task.type}`);
+}
+
+self.onmessage = async ({ data: task }) => {
+    try {
+        const { result, transfer } = await run(task);
+        self.postMessage({ result }, transfer);
+    } catch (err) {
+        self.postMessage({ error: err.message });
+    }
+};
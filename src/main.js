@@ -1,7 +1,74 @@
 import './style.css';
 import { v4 as uuidv4 } from 'uuid';
-import { parseCubeLUT, generateCubeLUT } from './lut-parser';
+import { GripVertical, Power, Headphones, Undo2, Redo2, Box, Palette, SlidersHorizontal } from 'lucide-static';
+import { listFormats, acceptedExtensions, getFormat } from './lut-formats';
+import { DEFAULT_SETTINGS, applyLUT, exportTarget, writeLUT } from './lut-core';
+import { WorkerPool } from './worker-pool';
 import { LUTRenderer } from './renderer';
+import { ZipWriter } from './zip';
+import { LUTStorage } from './storage';
+import { createRecipe, parseRecipe, hashLUT } from './recipe';
+import { History } from './history';
+import { Scopes } from './scopes';
+import { LUTInspector } from './inspector';
+import { COLOR_SPACES, getColorSpace } from './color-spaces';
+import { decodeFloatImage, needsDecoder, floatImageToCanvas } from './image-io';
+import { DEFAULT_DEVELOP } from './develop';
+import { DEFAULT_ADJUSTMENTS, isDefaultAdjustments } from './adjustments';
+import { BLEND_MODES, getBlendMode } from './blend-modes';
+import { DEFAULT_QUALIFIER, TONE_RANGES, isDefaultQualifier } from './qualifiers';
+
+const MERGE_SIZES = [17, 33, 64, 65];
+// Jobs that finish sooner than this (ms) never show the progress dialog
+const PROGRESS_DELAY = 300;
+// Sliders of the per-link adjustments section: [key, label, min, max, step, format]
+const ADJUSTMENT_SLIDERS = [
+    ['exposure', 'Exposure', -3, 3, 0.05, v => `${v >= 0 ? '+' : ''}${v.toFixed(2)}`],
+    ['offset', 'Offset', -0.25, 0.25, 0.005, v => `${v >= 0 ? '+' : ''}${v.toFixed(3)}`],
+    ['saturation', 'Saturation', 0, 2, 0.01, v => v.toFixed(2)],
+    ['contrast', 'Contrast', 0.5, 2, 0.01, v => v.toFixed(2)]
+];
+// Sliders of the qualifier part of the same section, in the same layout
+const QUALIFIER_SLIDERS = [
+    ['lumaMin', 'Luma from', 0, 1, 0.01, v => v.toFixed(2)],
+    ['lumaMax', 'Luma to', 0, 1, 0.01, v => v.toFixed(2)],
+    ['satMin', 'Sat from', 0, 1, 0.01, v => v.toFixed(2)],
+    ['satMax', 'Sat to', 0, 1, 0.01, v => v.toFixed(2)],
+    ['softness', 'Softness', 0, 0.5, 0.01, v => v.toFixed(2)],
+    ['hueCenter', 'Hue', 0, 360, 1, v => `${Math.round(v)}°`],
+    ['hueWidth', 'Hue width', 0, 360, 1, v => `${Math.round(v)}°`],
+    ['hueSoftness', 'Hue soft', 0, 90, 1, v => `${Math.round(v)}°`]
+];
+const PHOTO_EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp',
+    'image/png;bits=16': 'png',
+    'image/x-exr': 'exr'
+};
+
+// Whether a link is more than a plain LUT at full strength in normal blending
+function isModified(item) {
+    return !!(item.adjust || item.blend || item.qualifier);
+}
+
+function fileStem(name) {
+    return name.includes('.') ? name.slice(0, name.lastIndexOf('.')) : name;
+}
+
+function loadImage(url) {
+    const img = new Image();
+    img.src = url;
+    return img.decode().then(() => img);
+}
+
+function downloadBlob(blob, fileName) {
+    const link = document.createElement('a');
+    link.download = fileName;
+    link.href = URL.createObjectURL(blob);
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
 
 class App {
     constructor() {
@@ -10,8 +77,22 @@ class App {
             currentPhotoIndex: -1,
             lutLibrary: [],
             activeChain: [],
-            zoom: 1.0,
-            comparing: false
+            // Chain item previewed on its own, or null
+            soloChainId: null,
+            // Chain items with their adjustments section open
+            adjustingChainIds: new Set(),
+            // Lattice size, interpolation and colour transforms of the composite LUT,
+            // shared by preview and export
+            exportSettings: { ...DEFAULT_SETTINGS },
+            comparing: false,
+            // Viewing exposure in stops, applied before the chain
+            exposure: 0,
+            // Split-view comparison; referenceLink 0 compares against the original
+            compare: { mode: 'off', position: 0.5, referenceLink: 0 },
+            scopesVisible: false,
+            developVisible: false,
+            // Whether the current photo is scene-linear, which the develop stage requires
+            photoLinear: false
         };
 
         this.init();
@@ -20,10 +101,162 @@ class App {
     async init() {
         this.container = document.getElementById('canvas-container');
         this.renderer = new LUTRenderer(this.container);
+        this.pool = new WorkerPool();
+        this.history = new History({ onChange: () => this.renderHistoryButtons() });
+        this.scopes = new Scopes(document.getElementById('scopes-canvas'));
+        this.inspector = new LUTInspector(document.getElementById('inspector-dialog'));
+        this.renderer.onRender = () => {
+            this.updateScopes();
+            this.renderZoomLabel();
+        };
+
+        const currentPhotoId = await this.restoreState();
 
         this.setupEventListeners();
         this.renderLibrary();
         this.renderPhotoStream();
+        this.renderChain();
+
+        const index = this.state.photos.findIndex(p => p.id === currentPhotoId);
+        if (this.state.photos.length > 0) {
+            await this.selectPhoto(index !== -1 ? index : this.state.photos.length - 1);
+        }
+    }
+
+    async restoreState() {
+        try {
+            this.storage = await LUTStorage.open();
+            const saved = await this.storage.loadAll();
+
+            this.state.lutLibrary = saved.luts;
+            this.state.photos = saved.photos.map(photo => ({
+                ...photo,
+                url: URL.createObjectURL(photo.blob)
+            }));
+            this.state.activeChain = saved.activeChain.filter(item =>
+                this.state.lutLibrary.some(lut => lut.id === item.lutId));
+            if (saved.exportSettings) Object.assign(this.state.exportSettings, saved.exportSettings);
+            return saved.currentPhotoId;
+        } catch (err) {
+            // Private browsing or a blocked database: keep working in memory only
+            console.error('Failed to restore saved state:', err);
+            this.storage = null;
+            return null;
+        }
+    }
+
+    // Chain, settings and selection change often (e.g. intensity drags), so writes are debounced
+    persistSettings() {
+        if (!this.storage) return;
+        clearTimeout(this.persistTimer);
+        this.persistTimer = setTimeout(() => {
+            const photo = this.state.photos[this.state.currentPhotoIndex];
+            this.storage.saveSettings({
+                activeChain: this.state.activeChain.map(item => ({ ...item })),
+                exportSettings: { ...this.state.exportSettings },
+                currentPhotoId: photo ? photo.id : null
+            }).catch(err => console.error('Failed to save settings:', err));
+        }, 300);
+    }
+
+    persist(operation) {
+        if (!this.storage) return;
+        operation(this.storage).catch(err => console.error('Failed to update storage:', err));
+    }
+
+    // Library, photos and chain as they are now; LUT data and photo blobs are
+    // immutable so sharing references between snapshots is safe
+    snapshot() {
+        return {
+            lutLibrary: [...this.state.lutLibrary],
+            photos: [...this.state.photos],
+            activeChain: structuredClone(this.state.activeChain)
+        };
+    }
+
+    // Record everything that changed since `before` as one undo step
+    recordHistory(label, before) {
+        const after = this.snapshot();
+        this.history.push({
+            label,
+            undo: () => this.restoreSnapshot(before),
+            redo: () => this.restoreSnapshot(after)
+        });
+    }
+
+    restoreSnapshot(snapshot) {
+        const currentPhoto = this.state.photos[this.state.currentPhotoIndex];
+        const has = (list, item) => list.some(other => other.id === item.id);
+
+        // Bring storage in line with the restored library and photo stream
+        this.state.lutLibrary.filter(lut => !has(snapshot.lutLibrary, lut))
+            .forEach(lut => this.persist(storage => storage.deleteLUT(lut.id)));
+        snapshot.lutLibrary.filter(lut => !this.state.lutLibrary.includes(lut))
+            .forEach(lut => this.persist(storage => storage.putLUT(lut)));
+        this.state.photos.filter(photo => !has(snapshot.photos, photo))
+            .forEach(photo => this.persist(storage => storage.deletePhoto(photo.id)));
+        snapshot.photos.filter(photo => !this.state.photos.includes(photo))
+            .forEach(photo => this.persist(storage => storage.putPhoto(photo)));
+
+        this.state.lutLibrary = [...snapshot.lutLibrary];
+        this.state.photos = [...snapshot.photos];
+        this.state.activeChain = structuredClone(snapshot.activeChain);
+
+        // Develop edits replace the photo object, so look it up by id
+        const index = currentPhoto ? this.state.photos.findIndex(photo => photo.id === currentPhoto.id) : -1;
+        if (index !== -1) {
+            this.state.currentPhotoIndex = index;
+            this.applyDevelop();
+        } else if (this.state.photos.length > 0) {
+            this.selectPhoto(0);
+        } else {
+            this.state.currentPhotoIndex = -1;
+            this.clearPreview();
+        }
+
+        this.renderPhotoStream();
+        this.renderLibrary();
+        this.renderChain();
+        this.updateRendererChain();
+        this.persistSettings();
+    }
+
+    undo() {
+        this.history.undo();
+    }
+
+    redo() {
+        this.history.redo();
+    }
+
+    renderHistoryButtons() {
+        const undoBtn = document.getElementById('undo-btn');
+        const redoBtn = document.getElementById('redo-btn');
+        undoBtn.disabled = !this.history.canUndo;
+        redoBtn.disabled = !this.history.canRedo;
+        undoBtn.title = this.history.canUndo ? `Undo ${this.history.undoLabel} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+        redoBtn.title = this.history.canRedo ? `Redo ${this.history.redoLabel} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
+    }
+
+    async clearStorage() {
+        if (!confirm('Remove all saved LUTs, photos and the current chain?')) return;
+
+        if (this.storage) await this.storage.clear();
+        this.state.photos.forEach(photo => {
+            URL.revokeObjectURL(photo.url);
+            if (photo.thumbUrl) URL.revokeObjectURL(photo.thumbUrl);
+        });
+        this.state.photos = [];
+        this.state.currentPhotoIndex = -1;
+        this.state.lutLibrary = [];
+        this.state.activeChain = [];
+        this.history.clear();
+
+        this.clearPreview();
+        this.updateRendererChain();
+        this.renderPhotoStream();
+        this.renderLibrary();
+        this.renderChain();
     }
 
     setupEventListeners() {
@@ -31,10 +264,31 @@ class App {
         document.getElementById('photo-input').onchange = (e) => this.handlePhotoUpload(e);
 
         document.getElementById('import-lut-btn').onclick = () => document.getElementById('lut-input').click();
+        document.getElementById('lut-input').accept = acceptedExtensions();
         document.getElementById('lut-input').onchange = (e) => this.handleLUTUpload(e);
 
         document.getElementById('export-photo-btn').onclick = () => this.exportPhoto();
-        document.getElementById('export-lut-btn').onclick = () => this.exportMergedLUT();
+        document.getElementById('export-all-btn').onclick = () => this.exportAllPhotos();
+        document.getElementById('clear-storage-btn').onclick = () => this.clearStorage();
+
+        document.getElementById('save-recipe-btn').onclick = () => this.saveRecipe();
+        document.getElementById('load-recipe-btn').onclick = () => document.getElementById('recipe-input').click();
+        document.getElementById('recipe-input').onchange = (e) => this.loadRecipe(e);
+        document.getElementById('inspect-chain-btn').onclick = () => this.inspectChain();
+
+        const photoFormat = document.getElementById('photo-format-select');
+        const photoQuality = document.getElementById('photo-quality');
+        const syncQuality = () => {
+            // Quality only applies to the lossy JPEG and WebP encoders
+            photoQuality.disabled = !['image/jpeg', 'image/webp'].includes(photoFormat.value);
+            document.getElementById('photo-quality-label').textContent = `${photoQuality.value}%`;
+        };
+        photoFormat.onchange = syncQuality;
+        photoQuality.oninput = syncQuality;
+        syncQuality();
+
+        this.setupExportDialog();
+        this.setupColorSpaces();
 
         const dropZone = document.getElementById('chain-drop-zone');
         dropZone.ondragover = (e) => {
@@ -49,12 +303,20 @@ class App {
             if (lutId) this.addToChain(lutId);
         };
 
-        document.getElementById('zoom-in').onclick = () => this.adjustZoom(0.1);
-        document.getElementById('zoom-out').onclick = () => this.adjustZoom(-0.1);
-        document.getElementById('zoom-reset').onclick = () => this.adjustZoom(0, true);
+        this.setupViewControls();
 
         const compareBtn = document.getElementById('compare-btn');
         compareBtn.onclick = () => this.toggleComparison();
+        this.setupCompareControls();
+
+        document.getElementById('scopes-btn').onclick = () => this.toggleScopes();
+        this.setupDevelopControls();
+        document.querySelectorAll('.scope-tab').forEach(tab => {
+            tab.onclick = () => {
+                document.querySelectorAll('.scope-tab').forEach(t => t.classList.toggle('active', t === tab));
+                this.scopes.setMode(tab.dataset.mode);
+            };
+        });
 
         // Keyboard support: Toggle with '\' or hold 'Alt' (optional, let's do '\' for now)
         window.addEventListener('keydown', (e) => {
@@ -62,6 +324,27 @@ class App {
                 this.toggleComparison(true);
             }
         });
+
+        // Undo: Ctrl/Cmd+Z, redo: Ctrl/Cmd+Shift+Z or Ctrl+Y. Text fields keep their own undo.
+        window.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.target.closest('input, textarea, select')) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+
+        const undoBtn = document.getElementById('undo-btn');
+        const redoBtn = document.getElementById('redo-btn');
+        undoBtn.innerHTML = Undo2;
+        redoBtn.innerHTML = Redo2;
+        undoBtn.onclick = () => this.undo();
+        redoBtn.onclick = () => this.redo();
+        this.renderHistoryButtons();
         window.addEventListener('keyup', (e) => {
             if (e.key === '\\') {
                 this.toggleComparison(false);
@@ -84,7 +367,9 @@ class App {
             zone.ondrop = (e) => {
                 e.preventDefault();
                 zone.classList.remove('drag-over');
-                const files = Array.from(e.dataTransfer.files).filter(f => f.type.startsWith('image/'));
+                // Browsers report no MIME type for EXR and HDR files
+                const files = Array.from(e.dataTransfer.files)
+                    .filter(f => f.type.startsWith('image/') || needsDecoder(f.name));
                 if (files.length > 0) this.processPhotos(files);
             };
         });
@@ -94,16 +379,243 @@ class App {
         window.addEventListener('scroll', () => this.hideContextMenu(), true);
     }
 
+    setupExportDialog() {
+        const dialog = document.getElementById('export-lut-dialog');
+        const settings = this.state.exportSettings;
+        const titleInput = document.getElementById('export-title');
+        const formatSelect = document.getElementById('export-format');
+        const sizeSelect = document.getElementById('export-size');
+        const customSize = document.getElementById('export-custom-size');
+        const interpolationSelect = document.getElementById('export-interpolation');
+
+        listFormats().forEach(format => {
+            const option = document.createElement('option');
+            option.value = format.id;
+            option.textContent = format.name;
+            formatSelect.appendChild(option);
+        });
+        MERGE_SIZES.forEach(size => {
+            const option = document.createElement('option');
+            option.value = size;
+            option.textContent = `${size}³`;
+            sizeSelect.insertBefore(option, sizeSelect.lastElementChild);
+        });
+
+        this.syncExportDialog();
+
+        const syncSize = () => {
+            const custom = sizeSelect.value === 'custom';
+            customSize.hidden = !custom;
+            const size = parseInt(custom ? customSize.value : sizeSelect.value, 10);
+            if (size >= 2 && size <= 256 && size !== settings.size) {
+                settings.size = size;
+                this.updateRendererChain();
+                this.persistSettings();
+            }
+        };
+        sizeSelect.onchange = syncSize;
+        customSize.oninput = syncSize;
+
+        titleInput.oninput = () => {
+            settings.title = titleInput.value;
+            this.persistSettings();
+        };
+        formatSelect.onchange = () => {
+            // The format can change the baked size and domain, and the preview bakes the same
+            settings.format = formatSelect.value;
+            this.persistSettings();
+            this.updateRendererChain();
+            this.syncRangeNote();
+        };
+        interpolationSelect.onchange = () => {
+            // The preview follows the export interpolation so both match
+            settings.interpolation = interpolationSelect.value;
+            this.persistSettings();
+            this.renderer.setInterpolation(settings.interpolation);
+            this.updateRendererChain();
+            this.renderLibrary();
+            this.renderChain();
+        };
+
+        document.getElementById('export-lut-btn').onclick = () => {
+            if (this.state.activeChain.length === 0) return;
+            dialog.showModal();
+        };
+        document.getElementById('export-cancel-btn').onclick = () => dialog.close();
+        document.getElementById('export-confirm-btn').onclick = async () => {
+            dialog.close();
+            await this.exportMergedLUT();
+        };
+    }
+
+    // Reflect exportSettings in the dialog fields and the preview
+    syncExportDialog() {
+        const settings = this.state.exportSettings;
+        const preset = MERGE_SIZES.includes(settings.size);
+
+        document.getElementById('export-title').value = settings.title;
+        document.getElementById('export-format').value = settings.format;
+        document.getElementById('export-size').value = preset ? settings.size : 'custom';
+        document.getElementById('export-custom-size').hidden = preset;
+        if (!preset) document.getElementById('export-custom-size').value = settings.size;
+        document.getElementById('export-interpolation').value = settings.interpolation;
+        this.renderer.setInterpolation(settings.interpolation);
+        document.getElementById('input-space').value = settings.inputSpace;
+        document.getElementById('output-space').value = settings.outputSpace;
+        this.renderer.setDisplayColorSpace(settings.outputSpace);
+        this.syncRangeNote();
+    }
+
+    // Linear input is shaped past 1.0 on export, but not into formats without an input domain
+    syncRangeNote() {
+        const { format, inputSpace } = this.state.exportSettings;
+        const linear = getColorSpace(inputSpace)?.transfer === 'linear';
+        document.getElementById('export-range-note').hidden = !linear || getFormat(format).supportsDomain;
+    }
+
+    // Input (source footage) and output (display) transforms around the chain, plus
+    // the per-LUT dialog declaring which space a library LUT expects and produces
+    setupColorSpaces() {
+        const settings = this.state.exportSettings;
+        const fill = (select, spaces, emptyLabel = null) => {
+            if (emptyLabel) select.appendChild(new Option(emptyLabel, ''));
+            spaces.forEach(space => select.appendChild(new Option(space.label, space.id)));
+        };
+
+        const inputSelect = document.getElementById('input-space');
+        const outputSelect = document.getElementById('output-space');
+        fill(inputSelect, COLOR_SPACES);
+        fill(outputSelect, COLOR_SPACES.filter(space => space.display));
+        inputSelect.value = settings.inputSpace;
+        outputSelect.value = settings.outputSpace;
+        this.renderer.setDisplayColorSpace(settings.outputSpace);
+
+        inputSelect.onchange = () => {
+            settings.inputSpace = inputSelect.value;
+            this.syncRangeNote();
+            this.updateRendererChain();
+            this.persistSettings();
+        };
+        outputSelect.onchange = () => {
+            settings.outputSpace = outputSelect.value;
+            this.renderer.setDisplayColorSpace(settings.outputSpace);
+            this.updateRendererChain();
+            this.persistSettings();
+        };
+
+        const dialog = document.getElementById('lut-spaces-dialog');
+        fill(document.getElementById('lut-input-space'), COLOR_SPACES, 'Any (no conversion)');
+        fill(document.getElementById('lut-output-space'), COLOR_SPACES, 'Same as input');
+        document.getElementById('lut-spaces-cancel-btn').onclick = () => dialog.close();
+        document.getElementById('lut-spaces-confirm-btn').onclick = () => {
+            dialog.close();
+            this.setLUTSpaces(dialog.dataset.lutId,
+                document.getElementById('lut-input-space').value || null,
+                document.getElementById('lut-output-space').value || null);
+        };
+    }
+
+    editLUTSpaces(lutId) {
+        const lut = this.state.lutLibrary.find(l => l.id === lutId);
+        if (!lut) return;
+        const dialog = document.getElementById('lut-spaces-dialog');
+        dialog.dataset.lutId = lutId;
+        document.getElementById('lut-spaces-name').textContent = lut.name;
+        document.getElementById('lut-input-space').value = lut.inputSpace || '';
+        document.getElementById('lut-output-space').value = lut.outputSpace || '';
+        dialog.showModal();
+    }
+
+    // Library entries are shared with history snapshots, so replace rather than mutate
+    setLUTSpaces(lutId, inputSpace, outputSpace) {
+        const index = this.state.lutLibrary.findIndex(l => l.id === lutId);
+        if (index === -1) return;
+
+        const before = this.snapshot();
+        const lut = { ...this.state.lutLibrary[index], inputSpace, outputSpace };
+        this.state.lutLibrary[index] = lut;
+        this.persist(storage => storage.putLUT(lut));
+        this.recordHistory('Set LUT color spaces', before);
+
+        this.renderLibrary();
+        this.updateRendererChain();
+    }
+
+    async saveRecipe() {
+        if (this.state.activeChain.length === 0) return;
+
+        const json = await createRecipe(this.state);
+        const title = this.state.exportSettings.title || 'recipe';
+        downloadBlob(new Blob([json], { type: 'application/json' }), `${title}.lutmerge.json`);
+    }
+
+    async loadRecipe(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        let recipe;
+        try {
+            recipe = await parseRecipe(await file.text());
+        } catch (err) {
+            console.error('Failed to load recipe:', file.name, err);
+            alert(`Failed to load recipe: ${err.message}`);
+            return;
+        }
+
+        const before = this.snapshot();
+
+        // Reuse library LUTs with identical content instead of importing duplicates
+        const idsByHash = new Map();
+        for (const lut of this.state.lutLibrary) {
+            idsByHash.set(await hashLUT(lut.data), lut.id);
+        }
+        for (const entry of recipe.luts) {
+            if (idsByHash.has(entry.hash)) continue;
+            const lut = {
+                id: uuidv4(),
+                name: entry.name,
+                data: entry.data,
+                inputSpace: entry.inputSpace,
+                outputSpace: entry.outputSpace,
+                addedAt: Date.now()
+            };
+            this.state.lutLibrary.push(lut);
+            this.persist(storage => storage.putLUT(lut));
+            idsByHash.set(entry.hash, lut.id);
+        }
+
+        this.state.activeChain = recipe.chain.map(({ lut, ...settings }) => ({
+            ...settings,
+            id: uuidv4(),
+            lutId: idsByHash.get(lut)
+        }));
+        if (recipe.exportSettings) {
+            Object.assign(this.state.exportSettings, recipe.exportSettings);
+            this.syncExportDialog();
+        }
+        this.recordHistory('Load recipe', before);
+
+        this.renderLibrary();
+        this.renderChain();
+        this.updateRendererChain();
+        this.persistSettings();
+    }
+
     async handlePhotoUpload(event) {
         const files = Array.from(event.target.files);
         await this.processPhotos(files);
     }
 
     async processPhotos(files) {
+        const before = this.snapshot();
         for (const file of files) {
             const url = URL.createObjectURL(file);
-            this.state.photos.push({ id: uuidv4(), url, name: file.name });
+            const photo = { id: uuidv4(), url, name: file.name, blob: file, addedAt: Date.now() };
+            this.state.photos.push(photo);
+            this.persist(storage => storage.putPhoto(photo));
         }
+        if (files.length > 0) this.recordHistory('Add photos', before);
 
         if (this.state.photos.length > 0) {
             // Always select the last added photo
@@ -112,26 +624,52 @@ class App {
     }
 
     async selectPhoto(index) {
-        this.state.currentPhotoIndex = index;
         const photo = this.state.photos[index];
-        await this.renderer.setImage(photo.url);
+        let image;
+        try {
+            image = await decodeFloatImage(photo.blob, photo.name);
+        } catch (err) {
+            console.error('Failed to decode photo:', photo.name, err);
+            alert(`Failed to open ${photo.name}: ${err.message}`);
+            return;
+        }
+
+        this.state.currentPhotoIndex = index;
+        if (image) this.renderer.setImageData(image);
+        else await this.renderer.setImage(photo.url);
+        this.state.photoLinear = !!(image && image.linear);
+        this.applyDevelop();
+        this.matchInputSpace();
         this.updateRendererChain();
+        this.persistSettings();
         this.renderPhotoStream();
         this.renderLibrary();
         this.renderChain();
     }
 
+    clearPreview() {
+        this.state.photoLinear = false;
+        this.renderer.clearImage();
+        this.applyDevelop();
+    }
+
     removePhoto(id) {
         const index = this.state.photos.findIndex(p => p.id === id);
         if (index === -1) return;
 
-        URL.revokeObjectURL(this.state.photos[index].url);
+        // The object URL stays valid so undo can bring the photo back
+        const before = this.snapshot();
         this.state.photos.splice(index, 1);
+        this.persist(storage => storage.deletePhoto(id));
+        this.recordHistory('Remove photo', before);
 
         if (this.state.currentPhotoIndex === index) {
             this.state.currentPhotoIndex = this.state.photos.length > 0 ? 0 : -1;
             if (this.state.currentPhotoIndex !== -1) {
                 this.selectPhoto(0);
+            } else {
+                this.clearPreview();
+                this.persistSettings();
             }
         } else if (this.state.currentPhotoIndex > index) {
             this.state.currentPhotoIndex--;
@@ -144,49 +682,210 @@ class App {
 
     async handleLUTUpload(event) {
         const files = Array.from(event.target.files);
-        for (const file of files) {
-            const content = await file.text();
-            try {
-                const lutData = parseCubeLUT(content);
-                this.state.lutLibrary.push({
-                    id: uuidv4(),
-                    name: file.name,
-                    data: lutData
-                });
-            } catch (err) {
-                console.error("Failed to parse LUT:", file.name, err);
-            }
+        const progress = this.openProgress('Importing LUTs', { delay: PROGRESS_DELAY });
+        let done = 0;
+
+        // Files parse in parallel on the worker pool but join the library in the
+        // order they were picked. Cancelling keeps the ones already parsed.
+        const results = await Promise.allSettled(files.map(async (file) => {
+            const bytes = new Uint8Array(await file.arrayBuffer());
+            const report = await this.pool.parse(file.name, bytes, { signal: progress.signal });
+            done++;
+            progress.update(done / files.length, `${done} of ${files.length}`);
+            return report;
+        }));
+        progress.close();
+
+        // Clean files are imported straight away; the report asks about the rest
+        const clean = [];
+        const flagged = [];
+        results.forEach((result, i) => {
+            if (result.status === 'rejected' && result.reason.name === 'AbortError') return;
+            const report = result.status === 'fulfilled'
+                ? result.value
+                : { lut: null, issues: [{ severity: 'error', line: null, message: result.reason.message }] };
+            const entry = { name: files[i].name, ...report };
+            if (report.issues.some(issue => issue.severity !== 'info')) flagged.push(entry);
+            else clean.push(entry);
+        });
+
+        this.addLUTs(clean.map(({ name, lut }) => ({ name, data: lut })), 'Import LUTs');
+        if (flagged.length > 0) this.showImportReport(flagged);
+    }
+
+    addLUTs(entries, label) {
+        if (entries.length === 0) return;
+        const before = this.snapshot();
+        for (const { name, data } of entries) {
+            const lut = {
+                id: uuidv4(),
+                name,
+                data,
+                addedAt: Date.now()
+            };
+            this.state.lutLibrary.push(lut);
+            this.persist(storage => storage.putLUT(lut));
         }
+        this.recordHistory(label, before);
         this.renderLibrary();
     }
 
+    /**
+     * List the problems found in imported files. Files with errors are
+     * skipped; files with only warnings can be imported anyway, one by one
+     * or all together. Closing the dialog skips whatever is left undecided.
+     */
+    showImportReport(entries) {
+        const dialog = document.getElementById('import-report-dialog');
+        const list = document.getElementById('import-report-list');
+        const importAllBtn = document.getElementById('import-report-all-btn');
+        // Files still waiting for a decision, with the element showing their actions
+        const pending = new Map();
+
+        const decide = (entry, imported) => {
+            pending.get(entry).textContent = imported ? 'Imported' : 'Skipped';
+            pending.delete(entry);
+            importAllBtn.hidden = pending.size === 0;
+        };
+
+        list.innerHTML = '';
+        for (const entry of entries) {
+            const errors = entry.issues.filter(issue => issue.severity === 'error').length;
+            const warnings = entry.issues.filter(issue => issue.severity === 'warning').length;
+
+            const section = document.createElement('section');
+            section.className = 'import-file';
+
+            const header = document.createElement('div');
+            header.className = 'import-file-header';
+            const name = document.createElement('span');
+            name.className = 'import-file-name';
+            name.textContent = entry.name;
+            name.title = entry.name;
+            const actions = document.createElement('span');
+            actions.className = 'import-file-actions';
+            header.appendChild(name);
+            header.appendChild(actions);
+
+            if (errors > 0) {
+                actions.textContent = `Skipped: ${errors} error${errors === 1 ? '' : 's'}`;
+                actions.classList.add('error');
+            } else {
+                const skipBtn = document.createElement('button');
+                skipBtn.className = 'btn btn-secondary';
+                skipBtn.textContent = 'Skip';
+                skipBtn.onclick = () => decide(entry, false);
+                const importBtn = document.createElement('button');
+                importBtn.className = 'btn btn-secondary';
+                importBtn.textContent = 'Import anyway';
+                importBtn.onclick = () => {
+                    this.addLUTs([{ name: entry.name, data: entry.lut }], 'Import LUT');
+                    decide(entry, true);
+                };
+                actions.title = `${warnings} warning${warnings === 1 ? '' : 's'}`;
+                actions.appendChild(skipBtn);
+                actions.appendChild(importBtn);
+                pending.set(entry, actions);
+            }
+
+            const issues = document.createElement('ul');
+            issues.className = 'import-issues';
+            for (const issue of entry.issues) {
+                const item = document.createElement('li');
+                item.className = `import-issue ${issue.severity}`;
+                const where = document.createElement('span');
+                where.className = 'import-issue-line';
+                where.textContent = issue.line ? `Line ${issue.line}` : 'File';
+                const message = document.createElement('span');
+                message.textContent = issue.message;
+                item.appendChild(where);
+                item.appendChild(message);
+                issues.appendChild(item);
+            }
+
+            section.appendChild(header);
+            section.appendChild(issues);
+            list.appendChild(section);
+        }
+
+        importAllBtn.hidden = pending.size === 0;
+        importAllBtn.onclick = () => {
+            const accepted = [...pending.keys()];
+            this.addLUTs(accepted.map(({ name, lut }) => ({ name, data: lut })), 'Import LUTs');
+            accepted.forEach(entry => decide(entry, true));
+        };
+        document.getElementById('import-report-close-btn').onclick = () => dialog.close();
+        dialog.onclose = () => [...pending.keys()].forEach(entry => decide(entry, false));
+        dialog.showModal();
+    }
+
     removeLUTFromLibrary(id) {
-        this.renderer.disposeLUT(id);
+        const before = this.snapshot();
         this.state.lutLibrary = this.state.lutLibrary.filter(lut => lut.id !== id);
         this.state.activeChain = this.state.activeChain.filter(item => item.lutId !== id);
+        this.persist(storage => storage.deleteLUT(id));
+        this.persistSettings();
+        this.recordHistory('Remove LUT', before);
         this.renderLibrary();
         this.renderChain();
         this.updateRendererChain();
     }
 
     addToChain(lutId) {
-        if (this.state.activeChain.length >= 5) {
-            alert("Maximum 5 LUTs in chain");
-            return;
-        }
+        const before = this.snapshot();
         this.state.activeChain.push({
             id: uuidv4(),
             lutId: lutId,
-            intensity: 1.0
+            intensity: 1.0,
+            bypass: false
         });
+        this.recordHistory('Add to chain', before);
         this.renderChain();
         this.updateRendererChain();
+        this.persistSettings();
     }
 
     removeFromChain(chainId) {
+        const before = this.snapshot();
         this.state.activeChain = this.state.activeChain.filter(item => item.id !== chainId);
+        this.recordHistory('Remove from chain', before);
+        if (this.state.soloChainId === chainId) this.state.soloChainId = null;
+        this.renderChain();
+        this.updateRendererChain();
+        this.persistSettings();
+    }
+
+    toggleBypass(chainId) {
+        const item = this.state.activeChain.find(i => i.id === chainId);
+        if (!item) return;
+        const before = this.snapshot();
+        item.bypass = !item.bypass;
+        this.recordHistory(item.bypass ? 'Bypass LUT' : 'Enable LUT', before);
         this.renderChain();
         this.updateRendererChain();
+        this.persistSettings();
+    }
+
+    toggleSolo(chainId) {
+        this.state.soloChainId = this.state.soloChainId === chainId ? null : chainId;
+        this.renderChain();
+        this.updateRendererChain();
+    }
+
+    moveChainItem(chainId, targetId, after) {
+        const chain = this.state.activeChain;
+        const item = chain.find(i => i.id === chainId);
+        if (!item || chainId === targetId) return;
+
+        const before = this.snapshot();
+        chain.splice(chain.indexOf(item), 1);
+        const targetIndex = chain.findIndex(i => i.id === targetId);
+        chain.splice(after ? targetIndex + 1 : targetIndex, 0, item);
+        this.recordHistory('Reorder chain', before);
+
+        this.renderChain();
+        this.updateRendererChain();
+        this.persistSettings();
     }
 
     updateIntensity(chainId, intensity) {
@@ -209,20 +908,97 @@ class App {
             }
 
             this.updateRendererChain();
+            this.persistSettings();
         }
     }
 
+    // Live edit of a link's adjustments; the caller records the undo step
+    updateAdjustments(chainId, changes) {
+        const item = this.state.activeChain.find(i => i.id === chainId);
+        if (!item) return;
+        const adjust = { ...DEFAULT_ADJUSTMENTS, ...item.adjust, ...changes };
+        if (isDefaultAdjustments(adjust)) delete item.adjust;
+        else item.adjust = adjust;
+        this.updateRendererChain();
+        this.persistSettings();
+    }
+
+    // Live edit of a link's qualifier, like updateAdjustments
+    updateQualifier(chainId, changes) {
+        const item = this.state.activeChain.find(i => i.id === chainId);
+        if (!item) return;
+        const qualifier = { ...DEFAULT_QUALIFIER, ...item.qualifier, ...changes };
+        if (isDefaultQualifier(qualifier)) delete item.qualifier;
+        else item.qualifier = qualifier;
+        this.updateRendererChain();
+        this.persistSettings();
+    }
+
+    setBlendMode(chainId, mode) {
+        const item = this.state.activeChain.find(i => i.id === chainId);
+        if (!item) return;
+        const before = this.snapshot();
+        if (mode === 'normal') delete item.blend;
+        else item.blend = mode;
+        this.recordHistory('Change blend mode', before);
+        this.renderChain();
+        this.updateRendererChain();
+        this.persistSettings();
+    }
+
+    // Back to a plain link: no adjustments, normal blending, every colour
+    resetAdjustments(chainId) {
+        const item = this.state.activeChain.find(i => i.id === chainId);
+        if (!item || !isModified(item)) return;
+        const before = this.snapshot();
+        delete item.adjust;
+        delete item.blend;
+        delete item.qualifier;
+        this.recordHistory('Reset adjustments', before);
+        this.renderChain();
+        this.updateRendererChain();
+        this.persistSettings();
+    }
+
+    toggleAdjustments(chainId) {
+        const open = this.state.adjustingChainIds;
+        if (open.has(chainId)) open.delete(chainId);
+        else open.add(chainId);
+        this.renderChain();
+    }
+
     updateRendererChain() {
-        const chainData = this.state.activeChain.map(item => {
-            const lut = this.state.lutLibrary.find(l => l.id === item.lutId);
-            return {
-                id: lut.id,
-                data: lut.data.data,
-                size: lut.data.size,
-                intensity: item.intensity
-            };
-        });
-        this.renderer.updateLUTChain(chainData);
+        // Coalesce bursts of edits (e.g. intensity drags) into one bake per frame;
+        // edits made while the workers are baking are picked up when they finish
+        this.chainDirty = true;
+        if (this.pendingChainUpdate || this.bakingPreview) return;
+        this.pendingChainUpdate = requestAnimationFrame(() => this.bakePreview());
+    }
+
+    async bakePreview() {
+        this.pendingChainUpdate = null;
+        this.chainDirty = false;
+        this.bakingPreview = true;
+
+        const solo = this.state.activeChain.some(i => i.id === this.state.soloChainId) ? this.state.soloChainId : null;
+        // Baked like the merged LUT export, so the preview shows what the file will hold
+        const { size, domain } = exportTarget(this.state.exportSettings);
+        // Reference for comparisons: the chain up to link N, or the original for 0
+        const { referenceLink } = this.state.compare;
+
+        try {
+            const [chainLUT, referenceLUT] = await Promise.all([
+                this.bakeChain(size, { soloId: solo, domain }),
+                referenceLink > 0 ? this.bakeChain(size, { linkCount: referenceLink, domain }) : null
+            ]);
+            this.renderer.setChainLUT(chainLUT);
+            this.renderer.setReferenceLUT(referenceLUT);
+        } catch (err) {
+            console.error('Preview bake failed:', err);
+        } finally {
+            this.bakingPreview = false;
+            if (this.chainDirty) this.updateRendererChain();
+        }
     }
 
     renderLibrary() {
@@ -252,7 +1028,11 @@ class App {
 
             const info = document.createElement('div');
             info.className = 'lut-info';
-            info.innerHTML = `<span class="lut-name" title="${lut.name}">${lut.name}</span>`;
+            const name = document.createElement('span');
+            name.className = 'lut-name';
+            name.title = lut.name;
+            name.textContent = lut.name;
+            info.appendChild(name);
 
             const addBtn = document.createElement('button');
             addBtn.className = 'lut-add-btn';
@@ -262,8 +1042,36 @@ class App {
                 this.addToChain(lut.id);
             };
 
+            const inspectBtn = document.createElement('button');
+            inspectBtn.className = 'lut-inspect-btn';
+            inspectBtn.title = 'Inspect';
+            inspectBtn.innerHTML = Box;
+            inspectBtn.onclick = (e) => {
+                e.stopPropagation();
+                this.inspectLUT(lut.id);
+            };
+
+            const spacesBtn = document.createElement('button');
+            spacesBtn.className = 'lut-spaces-btn';
+            spacesBtn.title = 'Color spaces';
+            spacesBtn.innerHTML = Palette;
+            spacesBtn.onclick = (e) => {
+                e.stopPropagation();
+                this.editLUTSpaces(lut.id);
+            };
+
+            if (lut.inputSpace || lut.outputSpace) {
+                const badge = document.createElement('span');
+                badge.className = 'lut-space-badge';
+                const label = id => (id ? getColorSpace(id).label : 'Any');
+                badge.textContent = `${label(lut.inputSpace)} → ${lut.outputSpace ? label(lut.outputSpace) : 'same'}`;
+                info.appendChild(badge);
+            }
+
             card.appendChild(preview);
             card.appendChild(addBtn);
+            card.appendChild(inspectBtn);
+            card.appendChild(spacesBtn);
             card.appendChild(info);
             libraryEl.appendChild(card);
         });
@@ -275,6 +1083,7 @@ class App {
 
         const existingItems = chainEl.querySelectorAll('.lut-chain-item, .chain-arrow');
         existingItems.forEach(el => el.remove());
+        this.renderCompareReferences();
 
         this.state.activeChain.forEach((item, index) => {
             const lut = this.state.lutLibrary.find(l => l.id === item.lutId);
@@ -282,10 +1091,38 @@ class App {
 
             const chainItem = document.createElement('div');
             chainItem.className = 'lut-chain-item';
+            chainItem.classList.toggle('bypassed', !!item.bypass);
+            chainItem.classList.toggle('soloed', this.state.soloChainId === item.id);
             chainItem.dataset.id = item.id;
             const card = document.createElement('div');
             card.className = 'lut-card';
 
+            // Reorder by dragging; the intensity drag prevents default so it never starts one
+            chainItem.draggable = true;
+            chainItem.ondragstart = (e) => {
+                e.dataTransfer.setData('chain-id', item.id);
+                e.dataTransfer.effectAllowed = 'move';
+                chainItem.classList.add('dragging');
+            };
+            chainItem.ondragend = () => chainItem.classList.remove('dragging');
+            chainItem.ondragover = (e) => {
+                if (!e.dataTransfer.types.includes('chain-id')) return;
+                e.preventDefault();
+                const rect = chainItem.getBoundingClientRect();
+                const after = e.clientY > rect.top + rect.height / 2;
+                chainItem.classList.toggle('drop-before', !after);
+                chainItem.classList.toggle('drop-after', after);
+            };
+            chainItem.ondragleave = () => chainItem.classList.remove('drop-before', 'drop-after');
+            chainItem.ondrop = (e) => {
+                const chainId = e.dataTransfer.getData('chain-id');
+                if (!chainId) return;
+                e.preventDefault();
+                const after = chainItem.classList.contains('drop-after');
+                chainItem.classList.remove('drop-before', 'drop-after');
+                this.moveChainItem(chainId, item.id, after);
+            };
+
             const barContainer = document.createElement('div');
             barContainer.className = 'intensity-bar-container';
 
@@ -318,6 +1155,10 @@ class App {
                 const barLeft = rect.left + totalOffset;
                 const barWidth = rect.width - (totalOffset * 2);
 
+                // The whole drag becomes a single undo step
+                const before = this.snapshot();
+                const startIntensity = item.intensity;
+
                 const update = (moveEvent) => {
                     const x = moveEvent.clientX - barLeft;
                     const newIntensity = Math.max(0, Math.min(1, x / barWidth));
@@ -335,6 +1176,7 @@ class App {
                 window.addEventListener('mousemove', update);
                 window.addEventListener('mouseup', () => {
                     window.removeEventListener('mousemove', update);
+                    if (item.intensity !== startIntensity) this.recordHistory('Change intensity', before);
                 }, { once: true });
 
                 e.preventDefault();
@@ -353,7 +1195,22 @@ class App {
 
             const info = document.createElement('div');
             info.className = 'lut-info';
-            info.innerHTML = `<span class="lut-name">${lut.name}</span>`;
+            const name = document.createElement('span');
+            name.className = 'lut-name';
+            name.textContent = lut.name;
+            info.appendChild(name);
+            if (item.blend) {
+                const badge = document.createElement('span');
+                badge.className = 'blend-badge';
+                badge.textContent = getBlendMode(item.blend).label;
+                info.appendChild(badge);
+            }
+            if (item.qualifier) {
+                const badge = document.createElement('span');
+                badge.className = 'blend-badge';
+                badge.textContent = 'Qualified';
+                info.appendChild(badge);
+            }
 
             const removeBtn = document.createElement('button');
             removeBtn.className = 'lut-remove-btn';
@@ -364,12 +1221,60 @@ class App {
                 this.removeFromChain(item.id);
             };
 
+            const controls = document.createElement('div');
+            controls.className = 'chain-item-controls';
+
+            const grip = document.createElement('div');
+            grip.className = 'chain-grip';
+            grip.title = 'Drag to reorder';
+            grip.innerHTML = GripVertical;
+            grip.onmousedown = (e) => e.stopPropagation();
+
+            const soloBtn = document.createElement('button');
+            soloBtn.className = `chain-toggle-btn ${this.state.soloChainId === item.id ? 'active' : ''}`;
+            soloBtn.title = 'Solo: preview only this LUT';
+            soloBtn.innerHTML = Headphones;
+            soloBtn.onmousedown = (e) => e.stopPropagation();
+            soloBtn.onclick = (e) => {
+                e.stopPropagation();
+                this.toggleSolo(item.id);
+            };
+
+            const bypassBtn = document.createElement('button');
+            bypassBtn.className = `chain-toggle-btn ${item.bypass ? '' : 'active'}`;
+            bypassBtn.title = item.bypass ? 'Bypassed: click to enable' : 'Enabled: click to bypass';
+            bypassBtn.innerHTML = Power;
+            bypassBtn.onmousedown = (e) => e.stopPropagation();
+            bypassBtn.onclick = (e) => {
+                e.stopPropagation();
+                this.toggleBypass(item.id);
+            };
+
+            const adjustBtn = document.createElement('button');
+            const adjusting = this.state.adjustingChainIds.has(item.id);
+            adjustBtn.className = `chain-toggle-btn chain-adjust-btn ${adjusting ? 'active' : ''}`;
+            adjustBtn.classList.toggle('adjusted', isModified(item));
+            adjustBtn.title = adjusting ? 'Hide adjustments' : 'Adjustments';
+            adjustBtn.innerHTML = SlidersHorizontal;
+            adjustBtn.onmousedown = (e) => e.stopPropagation();
+            adjustBtn.onclick = (e) => {
+                e.stopPropagation();
+                this.toggleAdjustments(item.id);
+            };
+
+            controls.appendChild(grip);
+            controls.appendChild(soloBtn);
+            controls.appendChild(bypassBtn);
+            controls.appendChild(adjustBtn);
+
             card.appendChild(img);
             card.appendChild(barContainer);
             card.appendChild(label);
             card.appendChild(info);
+            card.appendChild(controls);
             card.appendChild(removeBtn);
             chainItem.appendChild(card);
+            if (adjusting) chainItem.appendChild(this.renderAdjustments(item, chainItem));
 
             chainEl.insertBefore(chainItem, dropZone);
 
@@ -380,6 +1285,188 @@ class App {
         });
     }
 
+    // The expandable adjustments section of a chain card
+    renderAdjustments(item, chainItem) {
+        const panel = document.createElement('div');
+        panel.className = 'chain-adjustments';
+        // Keep slider drags from reordering the chain
+        panel.onmousedown = (e) => {
+            e.stopPropagation();
+            chainItem.draggable = false;
+            window.addEventListener('mouseup', () => { chainItem.draggable = true; }, { once: true });
+        };
+
+        const current = () => ({ ...DEFAULT_ADJUSTMENTS, ...item.adjust });
+        // Dragging previews; releasing commits one undo step
+        let before = null;
+        let historyLabel = null;
+        const edit = (changes, qualify = false) => {
+            if (!before) before = this.snapshot();
+            historyLabel = qualify ? 'Qualify LUT' : 'Adjust LUT';
+            if (qualify) this.updateQualifier(item.id, changes);
+            else this.updateAdjustments(item.id, changes);
+        };
+        const commit = () => {
+            if (before) this.recordHistory(historyLabel, before);
+            before = null;
+            chainItem.querySelector('.chain-adjust-btn').classList.toggle('adjusted', isModified(item));
+        };
+
+        // One labelled range input; double-click resets it
+        const slider = ([key, text, min, max, step, format], value, defaultValue, onEdit) => {
+            const row = document.createElement('label');
+            row.className = 'adjust-row';
+            const name = document.createElement('span');
+            name.textContent = text;
+            const input = document.createElement('input');
+            input.type = 'range';
+            Object.assign(input, { min, max, step, value });
+            const output = document.createElement('output');
+            output.textContent = format(value);
+
+            input.oninput = () => {
+                const next = parseFloat(input.value);
+                output.textContent = format(next);
+                onEdit({ [key]: next });
+            };
+            input.onchange = commit;
+            input.ondblclick = () => {
+                input.value = defaultValue;
+                input.oninput();
+                commit();
+            };
+
+            row.appendChild(name);
+            row.appendChild(input);
+            row.appendChild(output);
+            return row;
+        };
+
+        const header = document.createElement('div');
+        header.className = 'chain-adjustments-header';
+        header.innerHTML = '<span>Adjustments</span>';
+        const resetBtn = document.createElement('button');
+        resetBtn.className = 'header-btn';
+        resetBtn.textContent = 'Reset';
+        resetBtn.title = 'Reset this LUT\'s adjustments, blend mode and qualifier';
+        resetBtn.onclick = () => this.resetAdjustments(item.id);
+        header.appendChild(resetBtn);
+        panel.appendChild(header);
+
+        const blendRow = document.createElement('label');
+        blendRow.className = 'adjust-row';
+        blendRow.innerHTML = '<span>Blend</span>';
+        const blendSelect = document.createElement('select');
+        blendSelect.className = 'select';
+        BLEND_MODES.forEach(mode => {
+            const option = document.createElement('option');
+            option.value = mode.id;
+            option.textContent = mode.label;
+            blendSelect.appendChild(option);
+        });
+        blendSelect.value = getBlendMode(item.blend).id;
+        blendSelect.onchange = () => this.setBlendMode(item.id, blendSelect.value);
+        blendRow.appendChild(blendSelect);
+        panel.appendChild(blendRow);
+
+        for (const spec of ADJUSTMENT_SLIDERS) {
+            const key = spec[0];
+            panel.appendChild(slider(spec, current()[key], DEFAULT_ADJUSTMENTS[key], changes => edit(changes)));
+        }
+
+        // Channel mix: one row per output channel, one column per input channel
+        const mix = document.createElement('div');
+        mix.className = 'adjust-mix';
+        mix.innerHTML = '<span></span><span>R</span><span>G</span><span>B</span>';
+        ['R', 'G', 'B'].forEach((channel, i) => {
+            const label = document.createElement('span');
+            label.textContent = `${channel} out`;
+            mix.appendChild(label);
+            [0, 1, 2].forEach(j => {
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.className = 'input';
+                Object.assign(input, { min: -2, max: 2, step: 0.05, value: current().mix[i][j] });
+                input.title = `${channel} out from ${'RGB'[j]} in`;
+                input.oninput = () => {
+                    const value = parseFloat(input.value);
+                    if (!Number.isFinite(value)) return;
+                    const matrix = current().mix.map(row => [...row]);
+                    matrix[i][j] = value;
+                    edit({ mix: matrix });
+                };
+                input.onchange = commit;
+                mix.appendChild(input);
+            });
+        });
+        panel.appendChild(mix);
+
+        panel.appendChild(this.renderQualifier(item, slider, edit, commit));
+
+        return panel;
+    }
+
+    // The qualifier part of the adjustments section: which colours the link applies to
+    renderQualifier(item, slider, edit, commit) {
+        const current = () => ({ ...DEFAULT_QUALIFIER, ...item.qualifier });
+        const section = document.createElement('div');
+        section.className = 'adjust-qualifier';
+
+        const header = document.createElement('div');
+        header.className = 'chain-adjustments-header';
+        header.innerHTML = '<span>Qualifier</span>';
+        const invertLabel = document.createElement('label');
+        invertLabel.className = 'adjust-invert';
+        const invert = document.createElement('input');
+        invert.type = 'checkbox';
+        invert.checked = current().invert;
+        invert.onchange = () => {
+            edit({ invert: invert.checked }, true);
+            commit();
+            this.renderChain();
+        };
+        invertLabel.appendChild(invert);
+        invertLabel.appendChild(document.createTextNode('Invert'));
+        header.appendChild(invertLabel);
+        section.appendChild(header);
+
+        // Tone presets set the luma range; hand-tuned ranges show as custom
+        const toneRow = document.createElement('label');
+        toneRow.className = 'adjust-row';
+        toneRow.innerHTML = '<span>Tones</span>';
+        const toneSelect = document.createElement('select');
+        toneSelect.className = 'select';
+        const { lumaMin, lumaMax } = current();
+        const tone = TONE_RANGES.find(range => range.lumaMin === lumaMin && range.lumaMax === lumaMax);
+        [...TONE_RANGES, ...(tone ? [] : [{ id: 'custom', label: 'Custom' }])].forEach(range => {
+            const option = document.createElement('option');
+            option.value = range.id;
+            option.textContent = range.label;
+            toneSelect.appendChild(option);
+        });
+        toneSelect.value = tone ? tone.id : 'custom';
+        toneSelect.onchange = () => {
+            const range = TONE_RANGES.find(r => r.id === toneSelect.value);
+            edit({ lumaMin: range.lumaMin, lumaMax: range.lumaMax }, true);
+            commit();
+            this.renderChain();
+        };
+        toneRow.appendChild(toneSelect);
+        section.appendChild(toneRow);
+
+        for (const spec of QUALIFIER_SLIDERS) {
+            const key = spec[0];
+            const row = slider(spec, current()[key], DEFAULT_QUALIFIER[key], changes => edit(changes, true));
+            // Re-render after luma edits so the tone select follows the range
+            if (key === 'lumaMin' || key === 'lumaMax') {
+                row.querySelector('input').addEventListener('change', () => this.renderChain());
+            }
+            section.appendChild(row);
+        }
+
+        return section;
+    }
+
     renderPhotoStream() {
         const streamEl = document.getElementById('photo-stream');
         streamEl.innerHTML = '';
@@ -387,7 +1474,8 @@ class App {
         this.state.photos.forEach((photo, index) => {
             const thumb = document.createElement('div');
             thumb.className = `photo-thumb ${index === this.state.currentPhotoIndex ? 'active' : ''}`;
-            thumb.innerHTML = `<img src="${photo.url}" alt="${photo.name}">`;
+            thumb.innerHTML = `<img src="${photo.thumbUrl || photo.url}" alt="${photo.name}">`;
+            if (!photo.thumbUrl && needsDecoder(photo.name)) this.createPhotoThumbnail(photo);
             thumb.onclick = () => this.selectPhoto(index);
             thumb.oncontextmenu = (e) => {
                 e.preventDefault();
@@ -397,16 +1485,104 @@ class App {
         });
     }
 
-    adjustZoom(delta, reset = false) {
-        if (reset) this.state.zoom = 1.0;
-        else this.state.zoom = Math.max(0.1, Math.min(5.0, this.state.zoom + delta));
-
-        const canvas = this.container.querySelector('canvas');
-        if (canvas) {
-            canvas.style.transform = `scale(${this.state.zoom})`;
+    // EXR, HDR and TIFF files cannot be shown by an <img>, so their thumbnails are decoded here
+    async createPhotoThumbnail(photo) {
+        if (photo.thumbPending) return;
+        photo.thumbPending = true;
+        try {
+            const canvas = floatImageToCanvas(await decodeFloatImage(photo.blob, photo.name));
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.9));
+            photo.thumbUrl = URL.createObjectURL(blob);
+            this.renderPhotoStream();
+        } catch (err) {
+            console.error('Failed to create thumbnail:', photo.name, err);
         }
     }
 
+    // Zoom and pan happen in the renderer's camera, so the photo is resampled at full resolution
+    setupViewControls() {
+        document.getElementById('zoom-in').onclick = () => this.renderer.setZoom(this.renderer.getZoom() * 1.25);
+        document.getElementById('zoom-out').onclick = () => this.renderer.setZoom(this.renderer.getZoom() / 1.25);
+        document.getElementById('zoom-fit').onclick = () => {
+            this.renderer.resetView();
+            this.renderer.render();
+        };
+        document.getElementById('zoom-100').onclick = () => this.renderer.setZoom(1);
+        document.getElementById('zoom-200').onclick = () => this.renderer.setZoom(2);
+
+        const exposure = document.getElementById('exposure');
+        const syncExposure = () => {
+            this.state.exposure = parseFloat(exposure.value);
+            const sign = this.state.exposure >= 0 ? '+' : '';
+            document.getElementById('exposure-label').textContent = `${sign}${this.state.exposure.toFixed(1)}`;
+            this.renderer.setExposure(this.state.exposure);
+        };
+        exposure.oninput = syncExposure;
+        exposure.ondblclick = () => {
+            exposure.value = 0;
+            syncExposure();
+        };
+
+        this.container.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.renderer.setZoom(this.renderer.getZoom() * Math.exp(-e.deltaY * 0.002), e.clientX, e.clientY);
+        }, { passive: false });
+
+        // Drag to pan; in wipe modes the left button moves the divider, so pan with the middle one
+        this.container.addEventListener('pointerdown', (e) => {
+            const wiping = this.state.compare.mode.startsWith('wipe');
+            if (!(e.button === 1 || (e.button === 0 && !wiping))) return;
+            e.preventDefault();
+            this.container.setPointerCapture(e.pointerId);
+            let lastX = e.clientX;
+            let lastY = e.clientY;
+            const onMove = (ev) => {
+                this.renderer.panBy(ev.clientX - lastX, ev.clientY - lastY);
+                lastX = ev.clientX;
+                lastY = ev.clientY;
+            };
+            const onUp = () => {
+                this.container.removeEventListener('pointermove', onMove);
+                this.container.removeEventListener('pointerup', onUp);
+            };
+            this.container.addEventListener('pointermove', onMove);
+            this.container.addEventListener('pointerup', onUp);
+        });
+
+        // Hover probe: input and output values of the source pixel under the cursor
+        this.container.addEventListener('pointermove', (e) => {
+            this.probePoint = { x: e.clientX, y: e.clientY };
+            if (this.pendingProbe) return;
+            this.pendingProbe = requestAnimationFrame(() => {
+                this.pendingProbe = null;
+                this.renderPixelProbe();
+            });
+        });
+        this.container.addEventListener('pointerleave', () => {
+            this.probePoint = null;
+            this.renderPixelProbe();
+        });
+    }
+
+    renderZoomLabel() {
+        const label = document.getElementById('zoom-label');
+        label.textContent = `${Math.round(this.renderer.getZoom() * 100)}%`;
+    }
+
+    renderPixelProbe() {
+        const probeEl = document.getElementById('pixel-probe');
+        const pixel = this.probePoint && this.renderer.imagePixelAt(this.probePoint.x, this.probePoint.y);
+        const probe = pixel && this.renderer.probePixel(pixel.x, pixel.y);
+        probeEl.hidden = !probe;
+        if (!probe) return;
+
+        const row = (label, rgb) => `<span class="probe-label">${label}</span>` +
+            rgb.map((v, i) => `<span class="probe-${'rgb'[i]}">${v.toFixed(4)}</span>`).join('');
+        probeEl.innerHTML = `<div class="probe-position">${probe.x}, ${probe.y}</div>` +
+            `<div class="probe-row">${row('In', probe.input)}</div>` +
+            `<div class="probe-row">${row('Out', probe.output)}</div>`;
+    }
+
     toggleComparison(force) {
         if (typeof force === 'boolean') {
             this.state.comparing = force;
@@ -424,6 +1600,182 @@ class App {
         this.renderer.setCompare(this.state.comparing);
     }
 
+    setupCompareControls() {
+        const modeSelect = document.getElementById('compare-mode');
+        modeSelect.onchange = () => {
+            this.state.compare.mode = modeSelect.value;
+            this.container.dataset.compare = modeSelect.value;
+            this.renderer.setCompareMode(this.state.compare.mode, this.state.compare.position);
+        };
+
+        const referenceSelect = document.getElementById('compare-reference');
+        referenceSelect.onchange = () => {
+            this.state.compare.referenceLink = parseInt(referenceSelect.value, 10);
+            this.updateRendererChain();
+        };
+
+        // Drag anywhere on the image to move the wipe divider
+        const moveWipe = (e) => {
+            const { x, y } = this.renderer.quadCoordsAt(e.clientX, e.clientY);
+            const position = this.state.compare.mode === 'wipe-horizontal' ? y : x;
+            this.state.compare.position = Math.max(0, Math.min(1, position));
+            this.renderer.setCompareMode(this.state.compare.mode, this.state.compare.position);
+        };
+        this.container.addEventListener('pointerdown', (e) => {
+            if (!this.state.compare.mode.startsWith('wipe') || e.button !== 0) return;
+            e.preventDefault();
+            this.container.setPointerCapture(e.pointerId);
+            moveWipe(e);
+            const onMove = (ev) => moveWipe(ev);
+            const onUp = () => {
+                this.container.removeEventListener('pointermove', onMove);
+                this.container.removeEventListener('pointerup', onUp);
+            };
+            this.container.addEventListener('pointermove', onMove);
+            this.container.addEventListener('pointerup', onUp);
+        });
+    }
+
+    // "Compare against" lists the original plus every prefix of the chain
+    renderCompareReferences() {
+        const select = document.getElementById('compare-reference');
+        const chain = this.state.activeChain;
+        if (this.state.compare.referenceLink > chain.length) {
+            this.state.compare.referenceLink = chain.length;
+        }
+
+        select.innerHTML = '';
+        select.appendChild(new Option('vs Original', '0'));
+        chain.forEach((item, index) => {
+            const lut = this.state.lutLibrary.find(l => l.id === item.lutId);
+            select.appendChild(new Option(`vs Up to #${index + 1} ${lut ? lut.name : ''}`, String(index + 1)));
+        });
+        select.value = String(this.state.compare.referenceLink);
+    }
+
+    // Linear photos are graded in linear Rec.709, display-referred ones in sRGB. Only
+    // switches between those two, so a deliberately chosen log space is kept.
+    matchInputSpace() {
+        const settings = this.state.exportSettings;
+        const space = getColorSpace(settings.inputSpace);
+        let next = settings.inputSpace;
+        if (this.state.photoLinear && space && space.display) next = 'linear-rec709';
+        else if (!this.state.photoLinear && settings.inputSpace === 'linear-rec709') next = 'srgb';
+        if (next === settings.inputSpace) return;
+        settings.inputSpace = next;
+        document.getElementById('input-space').value = next;
+        this.syncRangeNote();
+    }
+
+    // The develop stage runs before the chain, per photo, and only on scene-linear photos
+    setupDevelopControls() {
+        const panel = document.getElementById('develop-panel');
+        document.getElementById('develop-btn').onclick = () => {
+            this.state.developVisible = !this.state.developVisible;
+            this.renderDevelopPanel();
+        };
+
+        panel.querySelectorAll('[data-develop]').forEach(input => {
+            const key = input.dataset.develop;
+            // Dragging previews; releasing commits one undo step
+            input.oninput = () => {
+                const photo = this.state.photos[this.state.currentPhotoIndex];
+                if (!photo) return;
+                const develop = { ...DEFAULT_DEVELOP, ...photo.develop, [key]: parseFloat(input.value) };
+                this.renderer.setDevelop(develop);
+                this.renderDevelopValues(develop);
+            };
+            input.onchange = () => this.setDevelop({ [key]: parseFloat(input.value) });
+            input.ondblclick = () => this.setDevelop({ [key]: DEFAULT_DEVELOP[key] });
+        });
+        document.getElementById('develop-reset').onclick = () => this.setDevelop({ ...DEFAULT_DEVELOP });
+        this.renderDevelopPanel();
+    }
+
+    setDevelop(changes) {
+        const index = this.state.currentPhotoIndex;
+        const photo = this.state.photos[index];
+        if (!photo || !this.state.photoLinear) return;
+
+        // Photos are shared with history snapshots, so replace rather than mutate
+        const before = this.snapshot();
+        const updated = { ...photo, develop: { ...DEFAULT_DEVELOP, ...photo.develop, ...changes } };
+        this.state.photos[index] = updated;
+        this.persist(storage => storage.putPhoto(updated));
+        this.recordHistory('Develop', before);
+        this.applyDevelop();
+    }
+
+    applyDevelop() {
+        const photo = this.state.photos[this.state.currentPhotoIndex];
+        this.renderer.setDevelop(photo && this.state.photoLinear ? photo.develop || null : null);
+        this.renderDevelopPanel();
+    }
+
+    renderDevelopPanel() {
+        const button = document.getElementById('develop-btn');
+        const enabled = this.state.photoLinear;
+        button.disabled = !enabled;
+        button.title = enabled ? 'Raw develop settings' : 'Develop needs a raw or linear float photo';
+        button.classList.toggle('active', enabled && this.state.developVisible);
+
+        const panel = document.getElementById('develop-panel');
+        panel.hidden = !(enabled && this.state.developVisible);
+        if (panel.hidden) return;
+
+        const photo = this.state.photos[this.state.currentPhotoIndex];
+        const develop = { ...DEFAULT_DEVELOP, ...photo.develop };
+        panel.querySelectorAll('[data-develop]').forEach(input => {
+            input.value = develop[input.dataset.develop];
+        });
+        this.renderDevelopValues(develop);
+    }
+
+    renderDevelopValues(develop) {
+        const format = {
+            exposure: v => `${v >= 0 ? '+' : ''}${v.toFixed(2)}`,
+            temperature: v => `${v} K`,
+            tint: v => `${v > 0 ? '+' : ''}${v}`,
+            highlights: v => String(v)
+        };
+        document.querySelectorAll('[data-develop-value]').forEach(output => {
+            const key = output.dataset.developValue;
+            output.textContent = format[key](develop[key]);
+        });
+    }
+
+    toggleScopes() {
+        this.state.scopesVisible = !this.state.scopesVisible;
+        document.getElementById('scopes-panel').hidden = !this.state.scopesVisible;
+        document.getElementById('scopes-btn').classList.toggle('active', this.state.scopesVisible);
+        this.updateScopes();
+    }
+
+    // Runs after every preview render; the readback is throttled to once per frame
+    updateScopes() {
+        if (!this.state.scopesVisible || this.pendingScopesUpdate) return;
+        this.pendingScopesUpdate = requestAnimationFrame(() => {
+            this.pendingScopesUpdate = null;
+            this.scopes.update(this.renderer.readPreview());
+        });
+    }
+
+    // The inspector samples through applyLUT, the same path the bake uses
+    inspectLUT(lutId) {
+        const lut = this.state.lutLibrary.find(l => l.id === lutId);
+        if (!lut) return;
+        const { interpolation } = this.state.exportSettings;
+        this.inspector.open(lut.name, lut.data, (r, g, b) => applyLUT(lut.data, r, g, b, interpolation));
+    }
+
+    async inspectChain() {
+        const { interpolation } = this.state.exportSettings;
+        const { size, domain } = exportTarget(this.state.exportSettings);
+        const merged = await this.bakeWithProgress('Baking merged chain', size, { domain });
+        if (!merged) return;
+        this.inspector.open('Merged chain', merged, (r, g, b) => applyLUT(merged, r, g, b, interpolation));
+    }
+
     showContextMenu(x, y, action) {
         const menu = document.getElementById('context-menu');
         const removeBtn = document.getElementById('context-menu-remove');
@@ -452,93 +1804,173 @@ class App {
         if (menu) menu.style.display = 'none';
     }
 
-    exportPhoto() {
+    photoExportOptions() {
+        const type = document.getElementById('photo-format-select').value;
+        const quality = parseInt(document.getElementById('photo-quality').value, 10) / 100;
+        return { type, quality };
+    }
+
+    async exportPhoto() {
         if (this.state.currentPhotoIndex === -1) return;
-        const dataUrl = this.renderer.exportImage();
-        const link = document.createElement('a');
-        link.download = `edited_${this.state.photos[this.state.currentPhotoIndex].name}`;
-        link.href = dataUrl;
-        link.click();
+
+        const options = this.photoExportOptions();
+        const button = document.getElementById('export-photo-btn');
+
+        button.disabled = true;
+        try {
+            const lut = await this.bakeExportChain();
+            const blob = await this.renderer.exportImage({ ...options, lut });
+            if (!blob) throw new Error('the image could not be encoded');
+
+            const name = this.state.photos[this.state.currentPhotoIndex].name;
+            downloadBlob(blob, `edited_${fileStem(name)}.${PHOTO_EXTENSIONS[options.type]}`);
+        } catch (err) {
+            if (err.name === 'AbortError') return;
+            console.error('Photo export failed:', err);
+            alert(`Photo export failed: ${err.message}`);
+        } finally {
+            button.disabled = false;
+        }
     }
 
-    exportMergedLUT() {
-        if (this.state.activeChain.length === 0) return;
+    // Photo exports always carry the whole enabled chain: the preview's composite
+    // may be a soloed link, and may lag behind the latest edit while it bakes
+    bakeExportChain(signal = null) {
+        const { size, domain } = exportTarget(this.state.exportSettings);
+        return this.bakeChain(size, { domain, signal });
+    }
 
-        const size = 32;
-        const mergedData = new Float32Array(size * size * size * 4);
-
-        for (let r = 0; r < size; r++) {
-            for (let g = 0; g < size; g++) {
-                for (let b = 0; b < size; b++) {
-                    let currR = r / (size - 1);
-                    let currG = g / (size - 1);
-                    let currB = b / (size - 1);
-
-                    for (const item of this.state.activeChain) {
-                        const lut = this.state.lutLibrary.find(l => l.id === item.lutId);
-                        const intensity = item.intensity;
-                        const lutResult = this.sampleLUT(lut.data, currR, currG, currB);
-                        currR = currR * (1 - intensity) + lutResult[0] * intensity;
-                        currG = currG * (1 - intensity) + lutResult[1] * intensity;
-                        currB = currB * (1 - intensity) + lutResult[2] * intensity;
-                    }
-
-                    const idx = (r + g * size + b * size * size) * 4;
-                    mergedData[idx] = currR;
-                    mergedData[idx + 1] = currG;
-                    mergedData[idx + 2] = currB;
-                    mergedData[idx + 3] = 1.0;
+    // Render every photo in the stream through the current chain and bundle them in one ZIP
+    async exportAllPhotos() {
+        if (this.state.photos.length === 0) return;
+
+        const options = this.photoExportOptions();
+        const progress = this.openProgress('Exporting photos');
+        const { signal } = progress;
+        const photos = [...this.state.photos];
+        const zip = new ZipWriter();
+        const usedNames = new Set();
+
+        try {
+            const lut = await this.bakeExportChain(signal);
+            for (let i = 0; i < photos.length && !signal.aborted; i++) {
+                progress.update(i / photos.length, `Rendering ${photos[i].name} (${i + 1} of ${photos.length})`);
+
+                const decoded = await decodeFloatImage(photos[i].blob, photos[i].name);
+                const source = decoded || await loadImage(photos[i].url);
+                const develop = decoded && decoded.linear ? photos[i].develop || null : null;
+                const blob = await this.renderer.exportImage({ ...options, source, develop, lut });
+                if (signal.aborted) break;
+
+                let fileName = `edited_${fileStem(photos[i].name)}.${PHOTO_EXTENSIONS[options.type]}`;
+                for (let n = 2; usedNames.has(fileName); n++) {
+                    fileName = `edited_${fileStem(photos[i].name)}_${n}.${PHOTO_EXTENSIONS[options.type]}`;
                 }
+                usedNames.add(fileName);
+                zip.add(fileName, new Uint8Array(await blob.arrayBuffer()));
+
+                progress.update((i + 1) / photos.length);
             }
+
+            if (!signal.aborted) downloadBlob(zip.toBlob(), 'edited_photos.zip');
+        } catch (err) {
+            if (err.name === 'AbortError') return;
+            console.error('Batch export failed:', err);
+            alert(`Batch export failed: ${err.message}`);
+        } finally {
+            progress.close();
         }
+    }
+
+    // Bakes on the worker pool like the CLI's exportChain, then writes here,
+    // since some formats need a canvas
+    async exportMergedLUT() {
+        const settings = this.state.exportSettings;
+        const { format, size, domain } = exportTarget(settings);
+        const merged = await this.bakeWithProgress('Baking merged LUT', size, { domain });
+        if (!merged) return;
+
+        const output = await writeLUT(format.id, merged, settings.title || DEFAULT_SETTINGS.title);
+        const blob = output instanceof Blob ? output : new Blob([output], { type: format.mimeType });
+        downloadBlob(blob, `merged_lut.${format.extensions[0]}`);
+    }
+
+    /**
+     * Show the progress dialog for a job, after `delay` ms so quick ones don't
+     * flash it. Returns { signal, update(fraction, status), close() }; the
+     * signal aborts when the user cancels.
+     */
+    openProgress(title, { delay = 0 } = {}) {
+        const dialog = document.getElementById('progress-dialog');
+        const fill = document.getElementById('progress-fill');
+        const status = document.getElementById('progress-status');
+        const controller = new AbortController();
+        const cancel = () => {
+            status.textContent = 'Cancelling…';
+            controller.abort();
+        };
+
+        document.getElementById('progress-title').textContent = title;
+        document.getElementById('progress-cancel-btn').onclick = cancel;
+        dialog.oncancel = (e) => {
+            e.preventDefault();
+            cancel();
+        };
+        fill.style.width = '0%';
+        status.textContent = '';
 
-        const cubeContent = generateCubeLUT(size, mergedData);
-        const blob = new Blob([cubeContent], { type: 'text/plain' });
-        const link = document.createElement('a');
-        link.download = 'merged_lut.cube';
-        link.href = URL.createObjectURL(blob);
-        link.click();
-    }
-
-    sampleLUT(lutData, r, g, b) {
-        const size = lutData.size;
-        const data = lutData.data;
-
-        const fr = Math.max(0, Math.min(size - 1.0001, r * (size - 1)));
-        const fg = Math.max(0, Math.min(size - 1.0001, g * (size - 1)));
-        const fb = Math.max(0, Math.min(size - 1.0001, b * (size - 1)));
-
-        const r0 = Math.floor(fr);
-        const r1 = r0 + 1;
-        const g0 = Math.floor(fg);
-        const g1 = g0 + 1;
-        const b0 = Math.floor(fb);
-        const b1 = b0 + 1;
-
-        const dr = fr - r0;
-        const dg = fg - g0;
-        const db = fb - b0;
-
-        const getIdx = (ir, ig, ib) => (ir + ig * size + ib * size * size) * 4;
-
-        const c000 = [data[getIdx(r0, g0, b0)], data[getIdx(r0, g0, b0) + 1], data[getIdx(r0, g0, b0) + 2]];
-        const c100 = [data[getIdx(r1, g0, b0)], data[getIdx(r1, g0, b0) + 1], data[getIdx(r1, g0, b0) + 2]];
-        const c010 = [data[getIdx(r0, g1, b0)], data[getIdx(r0, g1, b0) + 1], data[getIdx(r0, g1, b0) + 2]];
-        const c110 = [data[getIdx(r1, g1, b0)], data[getIdx(r1, g1, b0) + 1], data[getIdx(r1, g1, b0) + 2]];
-        const c001 = [data[getIdx(r0, g0, b1)], data[getIdx(r0, g0, b1) + 1], data[getIdx(r0, g0, b1) + 2]];
-        const c101 = [data[getIdx(r1, g0, b1)], data[getIdx(r1, g0, b1) + 1], data[getIdx(r1, g0, b1) + 2]];
-        const c011 = [data[getIdx(r0, g1, b1)], data[getIdx(r0, g1, b1) + 1], data[getIdx(r0, g1, b1) + 2]];
-        const c111 = [data[getIdx(r1, g1, b1)], data[getIdx(r1, g1, b1) + 1], data[getIdx(r1, g1, b1) + 2]];
-
-        const x0 = c000.map((v, i) => v * (1 - dr) + c100[i] * dr);
-        const x1 = c010.map((v, i) => v * (1 - dr) + c110[i] * dr);
-        const x2 = c001.map((v, i) => v * (1 - dr) + c101[i] * dr);
-        const x3 = c011.map((v, i) => v * (1 - dr) + c111[i] * dr);
-
-        const y0 = x0.map((v, i) => v * (1 - dg) + x1[i] * dg);
-        const y1 = x2.map((v, i) => v * (1 - dg) + x3[i] * dg);
-
-        return y0.map((v, i) => v * (1 - db) + y1[i] * db);
+        const show = () => {
+            if (!dialog.open) dialog.showModal();
+        };
+        let timer = null;
+        if (delay > 0) timer = setTimeout(show, delay);
+        else show();
+
+        return {
+            signal: controller.signal,
+            update(fraction, text) {
+                fill.style.width = `${fraction * 100}%`;
+                if (text !== undefined && !controller.signal.aborted) status.textContent = text;
+            },
+            close() {
+                clearTimeout(timer);
+                dialog.close();
+            }
+        };
+    }
+
+    // Chain links with their library LUTs. Bypassed links are skipped; a solo id
+    // (preview only) keeps just that link and a link count (comparison reference)
+    // keeps only the first N links.
+    activeLinks({ soloId = null, linkCount = Infinity } = {}) {
+        return this.state.activeChain.slice(0, linkCount)
+            .filter(item => (soloId ? item.id === soloId : !item.bypass))
+            .map(item => ({ ...item, lut: this.state.lutLibrary.find(l => l.id === item.lutId) }));
+    }
+
+    // Collapse the active chain into a single 3D LUT on the worker pool. The
+    // preview renders this same composite, so what is exported matches what is
+    // on screen. Settings are copied since they may change while it bakes.
+    bakeChain(size, { soloId = null, linkCount = Infinity, domain = null, signal = null, onProgress = null } = {}) {
+        const links = this.activeLinks({ soloId, linkCount });
+        return this.pool.bake(links, size, { ...this.state.exportSettings }, { domain, signal, onProgress });
+    }
+
+    // Bake behind the progress dialog; null for an empty chain or when cancelled
+    async bakeWithProgress(title, size, options = {}) {
+        const progress = this.openProgress(title, { delay: PROGRESS_DELAY });
+        try {
+            return await this.bakeChain(size, {
+                ...options,
+                signal: progress.signal,
+                onProgress: fraction => progress.update(fraction, `${Math.round(fraction * 100)}%`)
+            });
+        } catch (err) {
+            if (err.name === 'AbortError') return null;
+            throw err;
+        } finally {
+            progress.close();
+        }
     }
 }
 
@@ -0,0 +1,96 @@
+/**
+ * Qualifiers
+ * Limit a chain link to a range of colours: a luma range (shadows, midtones,
+ * highlights) and a hue and saturation range, each with a soft edge. The
+ * weight is computed per colour from the signal entering the link and scales
+ * its intensity, so a qualified link still bakes into a plain 3D LUT.
+ */
+import { LUMA } from './color-spaces';
+
+export const DEFAULT_QUALIFIER = {
+    // Luma and saturation ranges; 0 and 1 leave that side open
+    lumaMin: 0,
+    lumaMax: 1,
+    satMin: 0,
+    satMax: 1,
+    // Width of the falloff outside the luma and saturation ranges
+    softness: 0.1,
+    // Hue range in degrees; a width of 360 takes every hue
+    hueCenter: 30,
+    hueWidth: 360,
+    hueSoftness: 20,
+    // Apply outside the ranges instead of inside
+    invert: false
+};
+
+export const TONE_RANGES = [
+    { id: 'all', label: 'All tones', lumaMin: 0, lumaMax: 1 },
+    { id: 'shadows', label: 'Shadows', lumaMin: 0, lumaMax: 0.25 },
+    { id: 'midtones', label: 'Midtones', lumaMin: 0.3, lumaMax: 0.7 },
+    { id: 'highlights', label: 'Highlights', lumaMin: 0.75, lumaMax: 1 }
+];
+
+export function isDefaultQualifier(qualifier) {
+    return !qualifier || (selectsEverything({ ...DEFAULT_QUALIFIER, ...qualifier }) && !qualifier.invert);
+}
+
+// Whether the ranges are all open, so there is nothing to qualify (or invert)
+function selectsEverything(q) {
+    return q.lumaMin <= 0 && q.lumaMax >= 1 && q.satMin <= 0 && q.satMax >= 1 && q.hueWidth >= 360;
+}
+
+function smoothstep(t) {
+    const x = Math.max(0, Math.min(1, t));
+    return x * x * (3 - 2 * x);
+}
+
+// 1 inside [min, max], easing to 0 over `softness` outside; 0 and 1 bounds are open
+function rangeWeight(v, min, max, softness) {
+    const below = min > 0 ? min - v : 0;
+    const above = max < 1 ? v - max : 0;
+    const distance = Math.max(below, above);
+    if (distance <= 0) return 1;
+    return softness > 0 ? 1 - smoothstep(distance / softness) : 0;
+}
+
+// Greys have no hue and fall outside any hue range
+function hueWeight(r, g, b, max, chroma, { hueCenter, hueWidth, hueSoftness }) {
+    if (chroma <= 0) return 0;
+    let hue;
+    if (max === r) hue = 60 * (((g - b) / chroma + 6) % 6);
+    else if (max === g) hue = 60 * ((b - r) / chroma + 2);
+    else hue = 60 * ((r - g) / chroma + 4);
+
+    // Angle from the edge of the range, going round the hue circle
+    const distance = Math.abs((((hue - hueCenter) % 360) + 540) % 360 - 180) - hueWidth / 2;
+    if (distance <= 0) return 1;
+    return hueSoftness > 0 ? 1 - smoothstep(distance / hueSoftness) : 0;
+}
+
+/**
+ * An (r, g, b) => weight function for a qualifier, weight being 0-1, or null
+ * when its ranges take every colour. Inverting open ranges is a no-op rather
+ * than turning the link off.
+ */
+export function createQualifier(qualifier) {
+    const q = { ...DEFAULT_QUALIFIER, ...qualifier };
+    if (selectsEverything(q)) return null;
+    const hueLimited = q.hueWidth < 360;
+    const satLimited = q.satMin > 0 || q.satMax < 1;
+
+    return (r, g, b) => {
+        let weight = rangeWeight(LUMA[0] * r + LUMA[1] * g + LUMA[2] * b, q.lumaMin, q.lumaMax, q.softness);
+
+        if (weight > 0 && (hueLimited || satLimited)) {
+            const max = Math.max(r, g, b);
+            const min = Math.min(r, g, b);
+            const chroma = max - min;
+            if (satLimited) {
+                weight *= rangeWeight(max > 0 ? chroma / max : 0, q.satMin, q.satMax, q.softness);
+            }
+            if (hueLimited) weight *= hueWeight(r, g, b, max, chroma, q);
+        }
+
+        return q.invert ? 1 - weight : weight;
+    };
+}
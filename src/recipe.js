@@ -0,0 +1,209 @@
+/**
+ * Chain recipes
+ * A portable JSON project that keeps the chain structure instead of a baked
+ * cube: every LUT used by the chain is embedded once (float data as base64)
+ * and referenced by a SHA-256 content hash, so importing a recipe reuses
+ * identical LUTs that are already in the library.
+ *
+ * Recipes are shared files, so importing one trusts nothing in it: every
+ * table is checked against its size and hash, and chain and export settings
+ * are kept only where they hold values the app could have written.
+ */
+import { MAX_3D_SIZE, MAX_1D_SIZE } from './lut-parser';
+import { listFormats } from './lut-formats';
+import { getColorSpace } from './color-spaces';
+import { BLEND_MODES } from './blend-modes';
+import { DEFAULT_ADJUSTMENTS, isDefaultAdjustments } from './adjustments';
+import { DEFAULT_QUALIFIER, isDefaultQualifier } from './qualifiers';
+
+export const RECIPE_FORMAT = 'lut-merge-recipe';
+export const RECIPE_VERSION = 1;
+
+const INTERPOLATIONS = ['trilinear', 'tetrahedral'];
+
+function encodeFloats(array) {
+    const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function decodeFloats(base64, label) {
+    let binary;
+    try {
+        binary = atob(base64);
+    } catch {
+        throw new Error(`${label}: table data is not valid base64`);
+    }
+    if (binary.length % 4 !== 0) throw new Error(`${label}: table data is truncated`);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new Float32Array(bytes.buffer);
+}
+
+function encodeTable(table) {
+    return { ...table, data: encodeFloats(table.data) };
+}
+
+const isTriple = value => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+
+// One table of a recipe LUT, with only the fields the samplers read. A shaper
+// is always 1D; anything that would make the bake read past the data throws.
+function decodeTable(table, label, shaper = false) {
+    if (!table || typeof table !== 'object') throw new Error(`${label}: missing table`);
+    const type = shaper ? '1D' : table.type;
+    if (type !== '1D' && type !== '3D') throw new Error(`${label}: unknown table type ${table.type}`);
+    const limit = type === '3D' ? MAX_3D_SIZE : MAX_1D_SIZE;
+    if (!Number.isInteger(table.size) || table.size < 2 || table.size > limit) {
+        throw new Error(`${label}: invalid table size ${table.size}`);
+    }
+    if (!isTriple(table.min) || !isTriple(table.max) || table.min.some((v, c) => v >= table.max[c])) {
+        throw new Error(`${label}: invalid input domain`);
+    }
+
+    const data = decodeFloats(table.data, label);
+    const expected = (type === '3D' ? table.size ** 3 : table.size) * 4;
+    if (data.length !== expected) {
+        throw new Error(`${label}: a size ${table.size} table holds ${expected} values, got ${data.length}`);
+    }
+    if (!data.every(Number.isFinite)) throw new Error(`${label}: table holds values that are not finite`);
+
+    const { size, min, max } = table;
+    return shaper ? { size, min, max, data } : { type, size, min, max, data };
+}
+
+function decodeLUT(lut, label) {
+    const table = decodeTable(lut, label);
+    if (table.type === '1D') return table;
+    return {
+        ...table,
+        title: typeof lut.title === 'string' ? lut.title : '',
+        shaper: lut.shaper ? decodeTable(lut.shaper, `${label} shaper`, true) : null
+    };
+}
+
+const spaceOrNull = id => (getColorSpace(id) ? id : null);
+
+// Values of the known keys that have the type of their default; the rest keep the default
+function readFields(value, defaults) {
+    const sameType = (v, d) => {
+        if (Array.isArray(d)) return Array.isArray(v) && v.length === d.length && v.every((x, i) => sameType(x, d[i]));
+        return typeof d === 'number' ? Number.isFinite(v) : typeof v === typeof d;
+    };
+    const result = { ...defaults };
+    if (!value || typeof value !== 'object') return result;
+    for (const key of Object.keys(defaults)) {
+        if (sameType(value[key], defaults[key])) result[key] = value[key];
+    }
+    return result;
+}
+
+function readLink(link) {
+    if (!link || typeof link !== 'object') throw new Error('Recipe chain holds an invalid link');
+    const item = {
+        lut: link.lut,
+        intensity: Number.isFinite(link.intensity) ? Math.max(0, Math.min(1, link.intensity)) : 1,
+        bypass: link.bypass === true
+    };
+    if (link.blend !== 'normal' && BLEND_MODES.some(mode => mode.id === link.blend)) item.blend = link.blend;
+    const adjust = readFields(link.adjust, DEFAULT_ADJUSTMENTS);
+    if (!isDefaultAdjustments(adjust)) item.adjust = adjust;
+    const qualifier = readFields(link.qualifier, DEFAULT_QUALIFIER);
+    if (!isDefaultQualifier(qualifier)) item.qualifier = qualifier;
+    return item;
+}
+
+// The export settings the export dialog and the CLI would accept; others are dropped
+function readExportSettings(settings) {
+    if (!settings || typeof settings !== 'object') return null;
+    const valid = {
+        title: typeof settings.title === 'string',
+        format: listFormats().some(format => format.id === settings.format),
+        size: Number.isInteger(settings.size) && settings.size >= 2 && settings.size <= MAX_3D_SIZE,
+        interpolation: INTERPOLATIONS.includes(settings.interpolation),
+        inputSpace: !!getColorSpace(settings.inputSpace),
+        outputSpace: !!getColorSpace(settings.outputSpace)?.display
+    };
+    return Object.fromEntries(Object.keys(valid).filter(key => valid[key]).map(key => [key, settings[key]]));
+}
+
+export async function hashLUT(lut) {
+    const parts = [lut.shaper ? lut.shaper.data : new Float32Array(0), lut.data];
+    const header = new TextEncoder().encode(JSON.stringify([lut.type, lut.size, lut.min, lut.max,
+        lut.shaper ? [lut.shaper.size, lut.shaper.min, lut.shaper.max] : null]));
+    const buffer = new Uint8Array(header.length + parts[0].byteLength + parts[1].byteLength);
+    buffer.set(header, 0);
+    buffer.set(new Uint8Array(parts[0].buffer, parts[0].byteOffset, parts[0].byteLength), header.length);
+    buffer.set(new Uint8Array(parts[1].buffer, parts[1].byteOffset, parts[1].byteLength), header.length + parts[0].byteLength);
+
+    const digest = await crypto.subtle.digest('SHA-256', buffer);
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export async function createRecipe({ lutLibrary, activeChain, exportSettings }) {
+    const luts = new Map();
+    const chain = [];
+
+    for (const item of activeChain) {
+        const lut = lutLibrary.find(l => l.id === item.lutId);
+        const hash = await hashLUT(lut.data);
+        if (!luts.has(hash)) {
+            luts.set(hash, {
+                hash,
+                name: lut.name,
+                inputSpace: lut.inputSpace || null,
+                outputSpace: lut.outputSpace || null,
+                lut: { ...encodeTable(lut.data), shaper: lut.data.shaper ? encodeTable(lut.data.shaper) : null }
+            });
+        }
+
+        // Keep every per-link setting, only the ids are local to this session
+        const { id, lutId, ...settings } = item;
+        chain.push({ ...settings, lut: hash });
+    }
+
+    return JSON.stringify({
+        format: RECIPE_FORMAT,
+        version: RECIPE_VERSION,
+        createdAt: new Date().toISOString(),
+        exportSettings,
+        luts: Array.from(luts.values()),
+        chain
+    }, null, 2);
+}
+
+/**
+ * Read a recipe, rejecting it when a LUT is malformed or does not match its
+ * hash. Resolves to { luts, chain, exportSettings } holding only checked values.
+ */
+export async function parseRecipe(text) {
+    const recipe = JSON.parse(text);
+    if (!recipe || recipe.format !== RECIPE_FORMAT) throw new Error('Not a LUT Merge recipe');
+    if (recipe.version > RECIPE_VERSION) throw new Error(`Unsupported recipe version ${recipe.version}`);
+    if (!Array.isArray(recipe.luts) || !Array.isArray(recipe.chain)) throw new Error('Recipe has no LUTs or chain');
+
+    const luts = [];
+    for (const entry of recipe.luts) {
+        const name = typeof entry?.name === 'string' && entry.name ? entry.name : 'Untitled LUT';
+        const label = `LUT "${name}"`;
+        const data = decodeLUT(entry.lut, label);
+        // The hash covers the decoded tables, so edits and damaged data both show here
+        if (await hashLUT(data) !== entry.hash) throw new Error(`${label} does not match its hash; the recipe was edited or damaged`);
+        luts.push({
+            hash: entry.hash,
+            name,
+            inputSpace: spaceOrNull(entry.inputSpace),
+            outputSpace: spaceOrNull(entry.outputSpace),
+            data
+        });
+    }
+
+    const chain = recipe.chain.map(readLink);
+    for (const link of chain) {
+        if (!luts.some(l => l.hash === link.lut)) throw new Error(`Recipe references a missing LUT: ${link.lut}`);
+    }
+
+    return { luts, chain, exportSettings: readExportSettings(recipe.exportSettings) };
+}
@@ -1,4 +1,20 @@
 import * as THREE from 'three';
+import { encodePNG16, encodeEXR } from './image-io';
+import { developGains } from './develop';
+
+// Upper bound on the tile edge used for full-resolution exports
+const MAX_EXPORT_TILE = 4096;
+
+// Photo export types that are read back and encoded as floats
+const FLOAT_EXPORT_TYPES = ['image/png;bits=16', 'image/x-exr'];
+
+// Preview zoom limits, in device pixels per image pixel
+const MIN_ZOOM = 0.02;
+const MAX_ZOOM = 32;
+// From this magnification on, image pixels are drawn as sharp squares
+const NEAREST_ZOOM = 2;
+
+export const COMPARE_MODES = { off: 0, 'wipe-vertical': 1, 'wipe-horizontal': 2, 'side-by-side': 3 };
 
 export class LUTRenderer {
     constructor(container) {
@@ -7,7 +23,9 @@ export class LUTRenderer {
         this.height = container.clientHeight;
 
         this.scene = new THREE.Scene();
+        // The preview camera zooms and pans; offscreen passes always see the full frame
         this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+        this.frameCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
 
         this.renderer = new THREE.WebGLRenderer({
             antialias: true,
@@ -21,10 +39,15 @@ export class LUTRenderer {
         this.textureLoader = new THREE.TextureLoader();
         this.baseTexture = null;
         this.imageAspect = 1;
+        // Colour space the graded pixels are encoded in, tagged on the canvas and exports
+        this.displayColorSpace = 'srgb';
 
         // Custom shader for chained LUT rendering
-        this.textureCache = new Map();
+        this.chainTexture = null;
+        this.chainShaper = null;
         this.dummyTexture = new THREE.Data3DTexture(new Float32Array(4), 1, 1, 1);
+        this.dummyShaperTexture = new THREE.DataTexture(new Float32Array(4), 1, 1, THREE.RGBAFormat, THREE.FloatType);
+        this.dummyShaperTexture.needsUpdate = true;
         this.initShader();
 
         window.addEventListener('resize', () => this.onResize());
@@ -39,6 +62,8 @@ export class LUTRenderer {
             }
         `;
 
+        // The whole chain is collapsed into one composite LUT on the CPU,
+        // so the shader only ever applies a single (optionally shaped) LUT.
         const fragmentShader = `
             precision highp float;
             precision highp sampler3D;
@@ -46,34 +71,150 @@ export class LUTRenderer {
             varying vec2 vUv;
             uniform sampler2D tDiffuse;
             
-            uniform sampler3D lutTextures[5];
-            uniform float lutIntensities[5];
-            uniform int lutCount;
+            uniform sampler3D lutTexture;
+            uniform sampler2D lutShaper;
+            uniform float lutIntensity;
+            uniform vec3 lutDomainMin;
+            uniform vec3 lutDomainMax;
+            uniform float lutSize;
+            uniform vec3 lutShaperDomainMin;
+            uniform vec3 lutShaperDomainMax;
+            uniform float lutShaperSize;
+            uniform float lutHasCube;
+            uniform float lutHasShaper;
+            uniform int lutInterpolation;
             uniform float showOriginal;
+            uniform float exposure;
+            // Develop stage for linear photos: white balance and exposure gains, highlight shoulder
+            uniform vec3 developGain;
+            uniform float highlightRecovery;
+
+            // Comparison: the "before" side shows a reference LUT (none = original)
+            uniform sampler3D refTexture;
+            uniform vec3 refDomainMin;
+            uniform vec3 refDomainMax;
+            uniform float refSize;
+            uniform float refHasCube;
+            uniform sampler2D refShaper;
+            uniform vec3 refShaperDomainMin;
+            uniform vec3 refShaperDomainMax;
+            uniform float refShaperSize;
+            uniform float refHasShaper;
+            uniform int compareMode; // 0 off, 1 vertical wipe, 2 horizontal wipe, 3 side by side
+            uniform float wipePosition;
+
+            // Same six-tetrahedra split as the CPU sampler used for baking
+            vec3 sampleTetrahedral(sampler3D lut, vec3 coord, float size) {
+                vec3 f = coord * (size - 1.0);
+                vec3 base = min(floor(f), vec3(size - 2.0));
+                vec3 d = f - base;
+                ivec3 p = ivec3(base);
+
+                vec3 c000 = texelFetch(lut, p, 0).rgb;
+                vec3 c111 = texelFetch(lut, p + ivec3(1, 1, 1), 0).rgb;
+
+                if (d.r > d.g) {
+                    if (d.g > d.b) {
+                        return c000 * (1.0 - d.r) + texelFetch(lut, p + ivec3(1, 0, 0), 0).rgb * (d.r - d.g)
+                            + texelFetch(lut, p + ivec3(1, 1, 0), 0).rgb * (d.g - d.b) + c111 * d.b;
+                    }
+                    if (d.r > d.b) {
+                        return c000 * (1.0 - d.r) + texelFetch(lut, p + ivec3(1, 0, 0), 0).rgb * (d.r - d.b)
+                            + texelFetch(lut, p + ivec3(1, 0, 1), 0).rgb * (d.b - d.g) + c111 * d.g;
+                    }
+                    return c000 * (1.0 - d.b) + texelFetch(lut, p + ivec3(0, 0, 1), 0).rgb * (d.b - d.r)
+                        + texelFetch(lut, p + ivec3(1, 0, 1), 0).rgb * (d.r - d.g) + c111 * d.g;
+                }
+                if (d.b > d.g) {
+                    return c000 * (1.0 - d.b) + texelFetch(lut, p + ivec3(0, 0, 1), 0).rgb * (d.b - d.g)
+                        + texelFetch(lut, p + ivec3(0, 1, 1), 0).rgb * (d.g - d.r) + c111 * d.r;
+                }
+                if (d.b > d.r) {
+                    return c000 * (1.0 - d.g) + texelFetch(lut, p + ivec3(0, 1, 0), 0).rgb * (d.g - d.b)
+                        + texelFetch(lut, p + ivec3(0, 1, 1), 0).rgb * (d.b - d.r) + c111 * d.r;
+                }
+                return c000 * (1.0 - d.g) + texelFetch(lut, p + ivec3(0, 1, 0), 0).rgb * (d.g - d.r)
+                    + texelFetch(lut, p + ivec3(1, 1, 0), 0).rgb * (d.r - d.b) + c111 * d.b;
+            }
 
-            void main() {
-                vec4 color = texture2D(tDiffuse, vUv);
-                vec3 originalRgb = color.rgb;
-                vec3 rgb = originalRgb;
+            // Map an input color from the LUT's domain onto lattice texel centers
+            vec3 sampleLUT(sampler3D lut, vec3 rgb, vec3 domainMin, vec3 domainMax, float size) {
+                vec3 coord = clamp((rgb - domainMin) / (domainMax - domainMin), 0.0, 1.0);
+                if (lutInterpolation == 1) return sampleTetrahedral(lut, coord, size);
+                coord = coord * ((size - 1.0) / size) + 0.5 / size;
+                return texture(lut, coord).rgb;
+            }
 
-                // Unrolled loop for WebGL compatibility
-                if (lutCount > 0) {
-                    rgb = mix(rgb, texture(lutTextures[0], rgb).rgb, lutIntensities[0]);
-                }
-                if (lutCount > 1) {
-                    rgb = mix(rgb, texture(lutTextures[1], rgb).rgb, lutIntensities[1]);
+            // 1D tables are stored as a size x 1 texture and looked up per channel
+            vec3 sampleShaper(sampler2D shaper, vec3 rgb, vec3 domainMin, vec3 domainMax, float size) {
+                vec3 coord = clamp((rgb - domainMin) / (domainMax - domainMin), 0.0, 1.0);
+                coord = coord * ((size - 1.0) / size) + 0.5 / size;
+                return vec3(
+                    texture(shaper, vec2(coord.r, 0.5)).r,
+                    texture(shaper, vec2(coord.g, 0.5)).g,
+                    texture(shaper, vec2(coord.b, 0.5)).b
+                );
+            }
+
+            vec3 applyLUT(vec3 rgb) {
+                vec3 result = rgb;
+                if (lutHasShaper > 0.5) {
+                    result = sampleShaper(lutShaper, result, lutShaperDomainMin, lutShaperDomainMax, lutShaperSize);
                 }
-                if (lutCount > 2) {
-                    rgb = mix(rgb, texture(lutTextures[2], rgb).rgb, lutIntensities[2]);
+                if (lutHasCube > 0.5) {
+                    result = sampleLUT(lutTexture, result, lutDomainMin, lutDomainMax, lutSize);
                 }
-                if (lutCount > 3) {
-                    rgb = mix(rgb, texture(lutTextures[3], rgb).rgb, lutIntensities[3]);
+                return result;
+            }
+
+            vec3 applyReference(vec3 rgb) {
+                if (refHasCube < 0.5) return rgb;
+                vec3 result = rgb;
+                if (refHasShaper > 0.5) {
+                    result = sampleShaper(refShaper, result, refShaperDomainMin, refShaperDomainMax, refShaperSize);
                 }
-                if (lutCount > 4) {
-                    rgb = mix(rgb, texture(lutTextures[4], rgb).rgb, lutIntensities[4]);
+                return sampleLUT(refTexture, result, refDomainMin, refDomainMax, refSize);
+            }
+
+            // Values above the knee roll off towards 1 on the brightest channel, keeping hue
+            vec3 recoverHighlights(vec3 rgb) {
+                if (highlightRecovery <= 0.0) return rgb;
+                float knee = 1.0 - 0.5 * highlightRecovery;
+                float peak = max(rgb.r, max(rgb.g, rgb.b));
+                if (peak <= knee) return rgb;
+                float range = 1.0 - knee;
+                float compressed = knee + range * (1.0 - exp(-(peak - knee) / range));
+                return rgb * (compressed / peak);
+            }
+
+            void main() {
+                vec2 uv = vUv;
+                bool before = false;
+                float divider = 1e6;
+
+                if (compareMode == 1) {
+                    before = vUv.x < wipePosition;
+                    divider = abs(vUv.x - wipePosition) / fwidth(vUv.x);
+                } else if (compareMode == 2) {
+                    before = vUv.y > 1.0 - wipePosition;
+                    divider = abs(vUv.y - (1.0 - wipePosition)) / fwidth(vUv.y);
+                } else if (compareMode == 3) {
+                    // The quad is twice as wide: reference on the left, graded on the right
+                    before = vUv.x < 0.5;
+                    uv.x = fract(vUv.x * 2.0);
+                    divider = abs(vUv.x - 0.5) / fwidth(vUv.x);
                 }
 
-                rgb = mix(rgb, originalRgb, showOriginal);
+                vec4 color = texture2D(tDiffuse, uv);
+                color.rgb = recoverHighlights(color.rgb * developGain);
+                color.rgb *= exposure;
+                vec3 originalRgb = color.rgb;
+                vec3 graded = mix(originalRgb, applyLUT(originalRgb), lutIntensity);
+                vec3 reference = applyReference(originalRgb);
+
+                vec3 rgb = before ? reference : graded;
+                rgb = mix(rgb, reference, showOriginal);
+                if (divider < 1.0) rgb = vec3(1.0);
 
                 gl_FragColor = vec4(rgb, color.a);
             }
@@ -82,14 +223,41 @@ export class LUTRenderer {
         this.material = new THREE.ShaderMaterial({
             uniforms: {
                 tDiffuse: { value: null },
-                lutTextures: { value: Array(5).fill(null) },
-                lutIntensities: { value: Array(5).fill(0) },
-                lutCount: { value: 0 },
-                showOriginal: { value: 0.0 }
+                lutTexture: { value: null },
+                lutShaper: { value: null },
+                lutIntensity: { value: 0 },
+                lutDomainMin: { value: new THREE.Vector3(0, 0, 0) },
+                lutDomainMax: { value: new THREE.Vector3(1, 1, 1) },
+                lutSize: { value: 1 },
+                lutShaperDomainMin: { value: new THREE.Vector3(0, 0, 0) },
+                lutShaperDomainMax: { value: new THREE.Vector3(1, 1, 1) },
+                lutShaperSize: { value: 1 },
+                lutHasCube: { value: 0 },
+                lutHasShaper: { value: 0 },
+                lutInterpolation: { value: 0 },
+                showOriginal: { value: 0.0 },
+                exposure: { value: 1.0 },
+                developGain: { value: new THREE.Vector3(1, 1, 1) },
+                highlightRecovery: { value: 0 },
+                refTexture: { value: null },
+                refDomainMin: { value: new THREE.Vector3(0, 0, 0) },
+                refDomainMax: { value: new THREE.Vector3(1, 1, 1) },
+                refSize: { value: 1 },
+                refHasCube: { value: 0 },
+                refShaper: { value: null },
+                refShaperDomainMin: { value: new THREE.Vector3(0, 0, 0) },
+                refShaperDomainMax: { value: new THREE.Vector3(1, 1, 1) },
+                refShaperSize: { value: 1 },
+                refHasShaper: { value: 0 },
+                compareMode: { value: 0 },
+                wipePosition: { value: 0.5 }
             },
             vertexShader,
             fragmentShader
         });
+        this.setLUTUniforms(this.material, null);
+        this.material.uniforms.refTexture.value = this.dummyTexture;
+        this.material.uniforms.refShaper.value = this.dummyShaperTexture;
 
         const geometry = new THREE.PlaneGeometry(2, 2);
         this.mesh = new THREE.Mesh(geometry, this.material);
@@ -99,69 +267,378 @@ export class LUTRenderer {
     setImage(imageSrc) {
         return new Promise((resolve) => {
             this.textureLoader.load(imageSrc, (texture) => {
-                this.baseTexture = texture;
-                this.baseTexture.minFilter = THREE.LinearFilter;
-                this.baseTexture.magFilter = THREE.LinearFilter;
-                this.imageAspect = texture.image.width / texture.image.height;
-                this.material.uniforms.tDiffuse.value = texture;
-                this.fitImageToContainer();
-                this.render();
+                texture.minFilter = THREE.LinearFilter;
+                texture.magFilter = THREE.LinearFilter;
+                this.showTexture(texture);
                 resolve();
             });
         });
     }
 
+    // Float image ({ width, height, data: Float32Array RGBA, rows top-down }) for
+    // high-bit-depth and HDR sources, kept at full precision on the GPU
+    setImageData(image) {
+        const texture = new THREE.DataTexture(image.data, image.width, image.height, THREE.RGBAFormat, THREE.FloatType);
+        // Float textures are only filterable with an extension
+        const filter = this.renderer.extensions.has('OES_texture_float_linear') ? THREE.LinearFilter : THREE.NearestFilter;
+        texture.minFilter = filter;
+        texture.magFilter = filter;
+        texture.flipY = true;
+        texture.needsUpdate = true;
+        this.showTexture(texture);
+    }
+
+    showTexture(texture) {
+        if (this.baseTexture) this.baseTexture.dispose();
+        this.baseTexture = texture;
+        this.baseFilter = texture.magFilter;
+        this.imageAspect = texture.image.width / texture.image.height;
+        this.material.uniforms.tDiffuse.value = texture;
+        this.mesh.visible = true;
+        this.fitImageToContainer();
+        this.resetView();
+        this.render();
+    }
+
+    // Viewing exposure in stops, applied to the photo before the chain
+    setExposure(stops) {
+        this.material.uniforms.exposure.value = 2 ** stops;
+        this.render();
+    }
+
+    // Develop settings of the current photo, or null for none
+    setDevelop(develop) {
+        this.setDevelopUniforms(this.material, develop);
+        this.render();
+    }
+
+    setDevelopUniforms(material, develop) {
+        const gains = develop ? developGains(develop) : [1, 1, 1];
+        material.uniforms.developGain.value = new THREE.Vector3(...gains);
+        material.uniforms.highlightRecovery.value = develop ? develop.highlights / 100 : 0;
+    }
+
+    clearImage() {
+        if (this.baseTexture) this.baseTexture.dispose();
+        this.baseTexture = null;
+        this.material.uniforms.tDiffuse.value = null;
+        this.mesh.visible = false;
+        this.render();
+    }
+
     fitImageToContainer() {
         const containerAspect = this.container.clientWidth / this.container.clientHeight;
-        if (this.imageAspect > containerAspect) {
-            this.mesh.scale.set(1, 1 / this.imageAspect * containerAspect, 1);
+        const sideBySide = this.material.uniforms.compareMode.value === COMPARE_MODES['side-by-side'];
+        const aspect = sideBySide ? this.imageAspect * 2 : this.imageAspect;
+        if (aspect > containerAspect) {
+            this.mesh.scale.set(1, 1 / aspect * containerAspect, 1);
         } else {
-            this.mesh.scale.set(this.imageAspect / containerAspect, 1, 1);
+            this.mesh.scale.set(aspect / containerAspect, 1, 1);
         }
+        this.clampView();
+    }
+
+    // Zoom is in device pixels per image pixel (1 = 100%). The camera zoom is relative
+    // to the fitted quad, so the source texture is sampled at whatever resolution is shown.
+    fitZoom() {
+        if (!this.baseTexture) return 1;
+        const sideBySide = this.material.uniforms.compareMode.value === COMPARE_MODES['side-by-side'];
+        const quadWidth = this.mesh.scale.x * this.width * this.renderer.getPixelRatio();
+        return quadWidth / (sideBySide ? 2 : 1) / this.baseTexture.image.width;
     }
 
-    updateLUTChain(lutDatas) {
-        const textures = [];
-        const intensities = [];
+    getZoom() {
+        return this.camera.zoom * this.fitZoom();
+    }
 
-        lutDatas.slice(0, 5).forEach(lut => {
-            let texture = this.textureCache.get(lut.id);
-            if (!texture) {
-                texture = new THREE.Data3DTexture(lut.data, lut.size, lut.size, lut.size);
-                texture.format = THREE.RGBAFormat;
-                texture.type = THREE.FloatType;
-                texture.minFilter = THREE.LinearFilter;
-                texture.magFilter = THREE.LinearFilter;
-                texture.unpackAlignment = 1;
-                texture.needsUpdate = true;
-                this.textureCache.set(lut.id, texture);
-            }
+    // Zoom keeping the image point under the given client position in place (the view centre by default)
+    setZoom(zoom, clientX = null, clientY = null) {
+        const fit = this.fitZoom();
+        const relative = Math.max(Math.min(MIN_ZOOM / fit, 1), Math.min(MAX_ZOOM / fit, zoom / fit));
+        const ndc = clientX === null ? { x: 0, y: 0 } : this.ndcAt(clientX, clientY);
+
+        const worldX = this.camera.position.x + ndc.x / this.camera.zoom;
+        const worldY = this.camera.position.y + ndc.y / this.camera.zoom;
+        this.camera.zoom = relative;
+        this.camera.position.x = worldX - ndc.x / relative;
+        this.camera.position.y = worldY - ndc.y / relative;
+        this.camera.updateProjectionMatrix();
+
+        this.clampView();
+        this.updateFiltering();
+        this.render();
+    }
+
+    resetView() {
+        this.camera.zoom = 1;
+        this.camera.position.set(0, 0, 0);
+        this.camera.updateProjectionMatrix();
+        this.updateFiltering();
+    }
 
-            textures.push(texture);
-            intensities.push(lut.intensity);
+    // Pan by a distance in client pixels
+    panBy(dx, dy) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        this.camera.position.x -= dx / rect.width * 2 / this.camera.zoom;
+        this.camera.position.y += dy / rect.height * 2 / this.camera.zoom;
+        this.clampView();
+        this.render();
+    }
+
+    // Keep part of the image in view; a zoomed-out image stays centred
+    clampView() {
+        const limitX = Math.max(0, this.mesh.scale.x - 1 / this.camera.zoom);
+        const limitY = Math.max(0, this.mesh.scale.y - 1 / this.camera.zoom);
+        this.camera.position.x = Math.max(-limitX, Math.min(limitX, this.camera.position.x));
+        this.camera.position.y = Math.max(-limitY, Math.min(limitY, this.camera.position.y));
+    }
+
+    updateFiltering() {
+        if (!this.baseTexture) return;
+        const filter = this.getZoom() >= NEAREST_ZOOM ? THREE.NearestFilter : this.baseFilter;
+        if (this.baseTexture.magFilter !== filter) {
+            this.baseTexture.magFilter = filter;
+            this.baseTexture.needsUpdate = true;
+        }
+    }
+
+    ndcAt(clientX, clientY) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        return {
+            x: (clientX - rect.left) / rect.width * 2 - 1,
+            y: 1 - (clientY - rect.top) / rect.height * 2
+        };
+    }
+
+    // Position of a client point on the displayed quad, 0-1 from the top-left
+    quadCoordsAt(clientX, clientY) {
+        const ndc = this.ndcAt(clientX, clientY);
+        const worldX = this.camera.position.x + ndc.x / this.camera.zoom;
+        const worldY = this.camera.position.y + ndc.y / this.camera.zoom;
+        return {
+            x: worldX / (2 * this.mesh.scale.x) + 0.5,
+            y: 0.5 - worldY / (2 * this.mesh.scale.y)
+        };
+    }
+
+    // Source image pixel under a client point, or null outside the image
+    imagePixelAt(clientX, clientY) {
+        if (!this.baseTexture) return null;
+        let { x, y } = this.quadCoordsAt(clientX, clientY);
+        if (x < 0 || x >= 1 || y < 0 || y >= 1) return null;
+        if (this.material.uniforms.compareMode.value === COMPARE_MODES['side-by-side']) {
+            x = x < 0.5 ? x * 2 : x * 2 - 1;
+        }
+        const { width, height } = this.baseTexture.image;
+        return { x: Math.floor(x * width), y: Math.floor(y * height) };
+    }
+
+    // Input and output of one source pixel through the current grade, at float precision.
+    // Renders a 1x1 frame centred on the pixel so the preview shader does the work.
+    probePixel(x, y) {
+        if (!this.baseTexture) return null;
+
+        if (!this.probeTarget) {
+            this.probeTarget = new THREE.WebGLRenderTarget(1, 1, { type: THREE.FloatType });
+            this.probeMaterial = this.material.clone();
+            this.probeCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+            this.probeScene = new THREE.Scene();
+            this.probeScene.add(new THREE.Mesh(this.mesh.geometry, this.probeMaterial));
+        }
+
+        const uniforms = this.probeMaterial.uniforms;
+        for (const key in this.material.uniforms) uniforms[key].value = this.material.uniforms[key].value;
+        uniforms.compareMode.value = COMPARE_MODES.off;
+        uniforms.refHasCube.value = 0;
+
+        const { width, height } = this.baseTexture.image;
+        const worldX = ((x + 0.5) / width) * 2 - 1;
+        const worldY = 1 - ((y + 0.5) / height) * 2;
+        const halfTexel = 0.5 / Math.max(width, height);
+        Object.assign(this.probeCamera, {
+            left: worldX - halfTexel, right: worldX + halfTexel,
+            top: worldY + halfTexel, bottom: worldY - halfTexel
         });
+        this.probeCamera.updateProjectionMatrix();
+
+        const read = (showOriginal) => {
+            uniforms.showOriginal.value = showOriginal;
+            this.renderer.setRenderTarget(this.probeTarget);
+            this.renderer.render(this.probeScene, this.probeCamera);
+            const pixel = new Float32Array(4);
+            this.renderer.readRenderTargetPixels(this.probeTarget, 0, 0, 1, 1, pixel);
+            return [pixel[0], pixel[1], pixel[2]];
+        };
+        const input = read(1);
+        const output = read(0);
+        this.renderer.setRenderTarget(null);
+        return { x, y, input, output };
+    }
+
+    createLUTTextures(lut) {
+        let cube = null;
+        let shaper = null;
 
-        while (textures.length < 5) {
-            textures.push(this.dummyTexture);
-            intensities.push(0);
+        if (lut.type === '1D') {
+            shaper = this.createShaperTexture(lut);
+        } else {
+            cube = new THREE.Data3DTexture(lut.data, lut.size, lut.size, lut.size);
+            cube.format = THREE.RGBAFormat;
+            cube.type = THREE.FloatType;
+            cube.minFilter = THREE.LinearFilter;
+            cube.magFilter = THREE.LinearFilter;
+            cube.unpackAlignment = 1;
+            cube.needsUpdate = true;
+            if (lut.shaper) shaper = this.createShaperTexture(lut.shaper);
         }
 
-        this.material.uniforms.lutTextures.value = textures;
-        this.material.uniforms.lutIntensities.value = intensities;
-        this.material.uniforms.lutCount.value = Math.min(lutDatas.length, 5);
-        this.render();
+        return { cube, shaper };
+    }
+
+    createShaperTexture(table) {
+        const texture = new THREE.DataTexture(table.data, table.size, 1, THREE.RGBAFormat, THREE.FloatType);
+        texture.minFilter = THREE.LinearFilter;
+        texture.magFilter = THREE.LinearFilter;
+        texture.wrapS = THREE.ClampToEdgeWrapping;
+        texture.unpackAlignment = 1;
+        texture.needsUpdate = true;
+        return texture;
     }
 
-    disposeLUT(lutId) {
-        const texture = this.textureCache.get(lutId);
-        if (texture) {
-            texture.dispose();
-            this.textureCache.delete(lutId);
+    // Refill a shaper texture in place when the table keeps its size; null without a table
+    refreshShaperTexture(texture, table) {
+        if (texture && table && texture.image.width === table.size) {
+            texture.image.data = table.data;
+            texture.needsUpdate = true;
+            return texture;
         }
+        if (texture) texture.dispose();
+        return table ? this.createShaperTexture(table) : null;
+    }
+
+    // link: { lut, textures: { cube, shaper }, intensity } or null for no grading
+    setLUTUniforms(material, link) {
+        const uniforms = material.uniforms;
+        const lut = link ? link.lut : null;
+        const cube = lut && lut.type !== '1D' ? lut : null;
+        const shaper = lut ? (lut.type === '1D' ? lut : lut.shaper) : null;
+
+        uniforms.lutTexture.value = link && link.textures.cube ? link.textures.cube : this.dummyTexture;
+        uniforms.lutShaper.value = link && link.textures.shaper ? link.textures.shaper : this.dummyShaperTexture;
+        uniforms.lutIntensity.value = link ? link.intensity : 0;
+        uniforms.lutDomainMin.value = new THREE.Vector3(...(cube ? cube.min : [0, 0, 0]));
+        uniforms.lutDomainMax.value = new THREE.Vector3(...(cube ? cube.max : [1, 1, 1]));
+        uniforms.lutSize.value = cube ? cube.size : 1;
+        uniforms.lutShaperDomainMin.value = new THREE.Vector3(...(shaper ? shaper.min : [0, 0, 0]));
+        uniforms.lutShaperDomainMax.value = new THREE.Vector3(...(shaper ? shaper.max : [1, 1, 1]));
+        uniforms.lutShaperSize.value = shaper ? shaper.size : 1;
+        uniforms.lutHasCube.value = cube ? 1 : 0;
+        uniforms.lutHasShaper.value = shaper ? 1 : 0;
+    }
+
+    // Takes the baked composite of the whole chain, or null when the chain is empty
+    setChainLUT(lut) {
+        if (!lut) {
+            this.setLUTUniforms(this.material, null);
+            this.render();
+            return;
+        }
+
+        if (this.chainTexture && this.chainTexture.image.width === lut.size) {
+            this.chainTexture.image.data = lut.data;
+            this.chainTexture.needsUpdate = true;
+        } else {
+            if (this.chainTexture) this.chainTexture.dispose();
+            this.chainTexture = this.createLUTTextures(lut).cube;
+        }
+
+        this.chainShaper = this.refreshShaperTexture(this.chainShaper, lut.shaper);
+
+        this.setLUTUniforms(this.material, { lut, textures: { cube: this.chainTexture, shaper: this.chainShaper }, intensity: 1.0 });
+        this.render();
+    }
+
+    setInterpolation(method) {
+        const value = method === 'tetrahedral' ? 1 : 0;
+        this.material.uniforms.lutInterpolation.value = value;
+        if (this.offscreenMaterial) this.offscreenMaterial.uniforms.lutInterpolation.value = value;
+        this.render();
     }
 
     render() {
         this.renderer.render(this.scene, this.camera);
+        if (this.onRender) this.onRender();
+    }
+
+    // Render the whole frame (no letterboxing) into a small target and read it back,
+    // for analysis such as scopes. Follows the compare state like the preview does.
+    readPreview(maxSize = 256) {
+        if (!this.baseTexture) return null;
+
+        const image = this.baseTexture.image;
+        const sourceWidth = image.naturalWidth || image.width;
+        const sourceHeight = image.naturalHeight || image.height;
+        const scale = Math.min(1, maxSize / Math.max(sourceWidth, sourceHeight));
+        const width = Math.max(1, Math.round(sourceWidth * scale));
+        const height = Math.max(1, Math.round(sourceHeight * scale));
+
+        if (!this.readbackTarget || this.readbackTarget.width !== width || this.readbackTarget.height !== height) {
+            if (this.readbackTarget) this.readbackTarget.dispose();
+            this.readbackTarget = new THREE.WebGLRenderTarget(width, height);
+            this.readbackScene = new THREE.Scene();
+            this.readbackScene.add(new THREE.Mesh(this.mesh.geometry, this.material));
+        }
+
+        this.renderer.setRenderTarget(this.readbackTarget);
+        this.renderer.render(this.readbackScene, this.frameCamera);
+        this.renderer.setRenderTarget(null);
+
+        const data = new Uint8Array(width * height * 4);
+        this.renderer.readRenderTargetPixels(this.readbackTarget, 0, 0, width, height, data);
+        return { width, height, data };
+    }
+
+    // Before side of a comparison: a baked partial chain, or null for the original image
+    setReferenceLUT(lut) {
+        const uniforms = this.material.uniforms;
+        if (lut) {
+            if (this.referenceTexture && this.referenceTexture.image.width === lut.size) {
+                this.referenceTexture.image.data = lut.data;
+                this.referenceTexture.needsUpdate = true;
+            } else {
+                if (this.referenceTexture) this.referenceTexture.dispose();
+                this.referenceTexture = this.createLUTTextures(lut).cube;
+            }
+            this.referenceShaper = this.refreshShaperTexture(this.referenceShaper, lut.shaper);
+        }
+        const shaper = lut ? lut.shaper : null;
+
+        uniforms.refTexture.value = lut ? this.referenceTexture : this.dummyTexture;
+        uniforms.refDomainMin.value = new THREE.Vector3(...(lut ? lut.min : [0, 0, 0]));
+        uniforms.refDomainMax.value = new THREE.Vector3(...(lut ? lut.max : [1, 1, 1]));
+        uniforms.refSize.value = lut ? lut.size : 1;
+        uniforms.refHasCube.value = lut ? 1 : 0;
+        uniforms.refShaper.value = shaper ? this.referenceShaper : this.dummyShaperTexture;
+        uniforms.refShaperDomainMin.value = new THREE.Vector3(...(shaper ? shaper.min : [0, 0, 0]));
+        uniforms.refShaperDomainMax.value = new THREE.Vector3(...(shaper ? shaper.max : [1, 1, 1]));
+        uniforms.refShaperSize.value = shaper ? shaper.size : 1;
+        uniforms.refHasShaper.value = shaper ? 1 : 0;
+        this.render();
+    }
+
+    setCompareMode(mode, wipePosition = this.material.uniforms.wipePosition.value) {
+        this.material.uniforms.compareMode.value = COMPARE_MODES[mode];
+        this.material.uniforms.wipePosition.value = Math.max(0, Math.min(1, wipePosition));
+        this.fitImageToContainer();
+        this.render();
+    }
+
+    // Tag the canvas so the browser shows P3-encoded output correctly; other outputs display as sRGB
+    setDisplayColorSpace(space) {
+        this.displayColorSpace = space === 'display-p3' ? 'display-p3' : 'srgb';
+        const gl = this.renderer.getContext();
+        if ('drawingBufferColorSpace' in gl) gl.drawingBufferColorSpace = this.displayColorSpace;
+        this.render();
     }
 
     setCompare(showOriginal) {
@@ -177,8 +654,124 @@ export class LUTRenderer {
         this.render();
     }
 
-    exportImage() {
-        return this.renderer.domElement.toDataURL('image/png');
+    // Render an image (the loaded photo by default) through the current LUT at its
+    // native resolution. Images larger than the GPU texture limit are processed in tiles.
+    // The source may also be a float image; 16-bit PNG and EXR output is read back as floats.
+    // develop: settings for `source` when it is not the photo on screen
+    // lut: the baked chain to export with, or null for none; when left out the
+    // preview's composite is used, which may be a soloed link
+    async exportImage({ type = 'image/png', quality = 0.92, source = null, develop, lut } = {}) {
+        if (!source) {
+            if (!this.baseTexture) return null;
+            source = this.baseTexture.image;
+        }
+
+        const width = source.naturalWidth || source.width;
+        const height = source.naturalHeight || source.height;
+        const tileSize = Math.min(this.renderer.capabilities.maxTextureSize, MAX_EXPORT_TILE);
+        const floatOutput = FLOAT_EXPORT_TYPES.includes(type);
+
+        let output = null;
+        let outputCtx = null;
+        let result = null;
+        if (floatOutput) {
+            result = new Float32Array(width * height * 4);
+        } else {
+            output = document.createElement('canvas');
+            output.width = width;
+            output.height = height;
+            outputCtx = output.getContext('2d', { colorSpace: this.displayColorSpace });
+        }
+
+        const tileCanvas = document.createElement('canvas');
+
+        const material = this.material.clone();
+        material.uniforms.showOriginal.value = 0.0;
+        material.uniforms.compareMode.value = COMPARE_MODES.off;
+        // Viewing exposure and the comparison reference only belong to the preview
+        material.uniforms.exposure.value = 1.0;
+        material.uniforms.refTexture.value = this.dummyTexture;
+        material.uniforms.refHasCube.value = 0;
+        if (develop !== undefined) this.setDevelopUniforms(material, develop);
+        const lutTextures = lut ? this.createLUTTextures(lut) : null;
+        if (lut !== undefined) this.setLUTUniforms(material, lut && { lut, textures: lutTextures, intensity: 1.0 });
+        const geometry = new THREE.PlaneGeometry(2, 2);
+        const scene = new THREE.Scene();
+        scene.add(new THREE.Mesh(geometry, material));
+
+        for (let y = 0; y < height; y += tileSize) {
+            for (let x = 0; x < width; x += tileSize) {
+                const w = Math.min(tileSize, width - x);
+                const h = Math.min(tileSize, height - y);
+
+                const texture = this.createTileTexture(source, x, y, w, h, tileCanvas);
+                material.uniforms.tDiffuse.value = texture;
+
+                const target = new THREE.WebGLRenderTarget(w, h, floatOutput ? { type: THREE.FloatType } : {});
+                this.renderer.setRenderTarget(target);
+                this.renderer.render(scene, this.frameCamera);
+                this.renderer.setRenderTarget(null);
+
+                const pixels = floatOutput ? new Float32Array(w * h * 4) : new Uint8Array(w * h * 4);
+                this.renderer.readRenderTargetPixels(target, 0, 0, w, h, pixels);
+
+                // WebGL reads bottom-up, image rows run top-down
+                const rowLength = w * 4;
+                if (floatOutput) {
+                    for (let row = 0; row < h; row++) {
+                        const src = (h - 1 - row) * rowLength;
+                        result.set(pixels.subarray(src, src + rowLength), ((y + row) * width + x) * 4);
+                    }
+                } else {
+                    const imageData = outputCtx.createImageData(w, h, { colorSpace: this.displayColorSpace });
+                    for (let row = 0; row < h; row++) {
+                        const src = (h - 1 - row) * rowLength;
+                        imageData.data.set(pixels.subarray(src, src + rowLength), row * rowLength);
+                    }
+                    outputCtx.putImageData(imageData, x, y);
+                }
+
+                texture.dispose();
+                target.dispose();
+            }
+        }
+
+        material.dispose();
+        geometry.dispose();
+        if (lutTextures?.cube) lutTextures.cube.dispose();
+        if (lutTextures?.shaper) lutTextures.shaper.dispose();
+        this.render();
+
+        if (type === 'image/x-exr') return encodeEXR(width, height, result);
+        if (type === 'image/png;bits=16') return encodePNG16(width, height, result);
+        return new Promise((resolve) => output.toBlob(resolve, type, quality));
+    }
+
+    // One export tile of the source: float images are copied at full precision,
+    // anything else is drawn through a 2D canvas
+    createTileTexture(source, x, y, w, h, tileCanvas) {
+        let texture;
+        if (source.data instanceof Float32Array) {
+            const tile = new Float32Array(w * h * 4);
+            for (let row = 0; row < h; row++) {
+                const start = ((y + row) * source.width + x) * 4;
+                tile.set(source.data.subarray(start, start + w * 4), row * w * 4);
+            }
+            texture = new THREE.DataTexture(tile, w, h, THREE.RGBAFormat, THREE.FloatType);
+            texture.flipY = true;
+            texture.needsUpdate = true;
+        } else {
+            tileCanvas.width = w;
+            tileCanvas.height = h;
+            const tileCtx = tileCanvas.getContext('2d');
+            tileCtx.clearRect(0, 0, w, h);
+            tileCtx.drawImage(source, x, y, w, h, 0, 0, w, h);
+            texture = new THREE.CanvasTexture(tileCanvas);
+            texture.generateMipmaps = false;
+        }
+        texture.minFilter = THREE.NearestFilter;
+        texture.magFilter = THREE.NearestFilter;
+        return texture;
     }
 
     generateThumbnail(lutData, intensity = 1.0) {
@@ -202,21 +795,15 @@ export class LUTRenderer {
         }
 
         // Reuse cached lookup textures if possible, but for thumb we create a temporary one
-        const texture = new THREE.Data3DTexture(lutData.data, lutData.size, lutData.size, lutData.size);
-        texture.format = THREE.RGBAFormat;
-        texture.type = THREE.FloatType;
-        texture.minFilter = THREE.LinearFilter;
-        texture.magFilter = THREE.LinearFilter;
-        texture.unpackAlignment = 1;
-        texture.needsUpdate = true;
-
-        const textures = [texture, this.dummyTexture, this.dummyTexture, this.dummyTexture, this.dummyTexture];
+        const textures = this.createLUTTextures(lutData);
 
         this.offscreenMaterial.uniforms.tDiffuse.value = this.baseTexture;
-        this.offscreenMaterial.uniforms.lutTextures.value = textures;
-        this.offscreenMaterial.uniforms.lutIntensities.value = [intensity, 0, 0, 0, 0];
-        this.offscreenMaterial.uniforms.lutCount.value = 1;
+        this.setLUTUniforms(this.offscreenMaterial, { lut: lutData, textures, intensity });
         this.offscreenMaterial.uniforms.showOriginal.value = 0.0; // Ensure processed view
+        this.offscreenMaterial.uniforms.exposure.value = this.material.uniforms.exposure.value;
+        this.offscreenMaterial.uniforms.developGain.value = this.material.uniforms.developGain.value.clone();
+        this.offscreenMaterial.uniforms.highlightRecovery.value = this.material.uniforms.highlightRecovery.value;
+        this.offscreenMaterial.uniforms.compareMode.value = COMPARE_MODES.off;
 
         // Custom aspect ratio logic for "cover" effect
         const canvasAspect = 480 / 270;
@@ -226,10 +813,11 @@ export class LUTRenderer {
             this.offscreenMesh.scale.set(1, canvasAspect / this.imageAspect, 1);
         }
 
-        this.offscreenRenderer.render(this.offscreenScene, this.camera);
+        this.offscreenRenderer.render(this.offscreenScene, this.frameCamera);
         const url = this.offscreenCanvas.toDataURL('image/jpeg', 0.95);
 
-        texture.dispose();
+        if (textures.cube) textures.cube.dispose();
+        if (textures.shaper) textures.shaper.dispose();
         return url;
     }
 }
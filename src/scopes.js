@@ -0,0 +1,210 @@
+/**
+ * Video scopes for the graded preview
+ * Fed from a small RGBA8 readback of the renderer output. Luma and chroma
+ * use Rec.709 coefficients on the display-encoded values, as broadcast
+ * scopes do.
+ */
+import { LUMA } from './color-spaces';
+
+const CHANNEL_COLORS = ['255, 80, 80', '80, 220, 120', '90, 150, 255'];
+
+// Rec.709 primaries and secondaries at 75% for the vectorscope targets
+const VECTOR_TARGETS = [
+    { label: 'R', rgb: [0.75, 0, 0] },
+    { label: 'Yl', rgb: [0.75, 0.75, 0] },
+    { label: 'G', rgb: [0, 0.75, 0] },
+    { label: 'Cy', rgb: [0, 0.75, 0.75] },
+    { label: 'B', rgb: [0, 0, 0.75] },
+    { label: 'Mg', rgb: [0.75, 0, 0.75] }
+];
+
+export const SCOPE_MODES = ['histogram', 'parade', 'waveform', 'vectorscope'];
+
+function chroma(r, g, b) {
+    return [
+        -0.1146 * r - 0.3854 * g + 0.5 * b,
+        0.5 * r - 0.4542 * g - 0.0458 * b
+    ];
+}
+
+export class Scopes {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.mode = 'histogram';
+        this.pixels = null;
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+        if (this.pixels) this.update(this.pixels);
+    }
+
+    // pixels: { width, height, data: Uint8Array RGBA } or null to clear
+    update(pixels) {
+        this.pixels = pixels;
+        const { ctx, canvas } = this;
+        ctx.fillStyle = '#050505';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        if (!pixels) return;
+
+        if (this.mode === 'histogram') this.drawHistogram(pixels);
+        else if (this.mode === 'parade') this.drawWaveform(pixels, true);
+        else if (this.mode === 'waveform') this.drawWaveform(pixels, false);
+        else this.drawVectorscope(pixels);
+    }
+
+    drawHistogram({ data }) {
+        const { ctx, canvas } = this;
+        const bins = [new Uint32Array(256), new Uint32Array(256), new Uint32Array(256), new Uint32Array(256)];
+
+        for (let i = 0; i < data.length; i += 4) {
+            bins[0][data[i]]++;
+            bins[1][data[i + 1]]++;
+            bins[2][data[i + 2]]++;
+            bins[3][Math.round(data[i] * LUMA[0] + data[i + 1] * LUMA[1] + data[i + 2] * LUMA[2])]++;
+        }
+
+        // Ignore the clipped end bins when scaling so a blown sky doesn't flatten the rest
+        let peak = 1;
+        bins.forEach(channel => {
+            for (let v = 1; v < 255; v++) peak = Math.max(peak, channel[v]);
+        });
+
+        const plot = (channel, fill) => {
+            ctx.beginPath();
+            ctx.moveTo(0, canvas.height);
+            for (let v = 0; v < 256; v++) {
+                const x = (v / 255) * canvas.width;
+                const y = canvas.height - Math.min(1, channel[v] / peak) * (canvas.height - 4);
+                ctx.lineTo(x, y);
+            }
+            ctx.lineTo(canvas.width, canvas.height);
+            ctx.closePath();
+            ctx.fillStyle = fill;
+            ctx.fill();
+        };
+
+        this.drawGrid(4);
+        ctx.globalCompositeOperation = 'lighter';
+        plot(bins[0], `rgba(${CHANNEL_COLORS[0]}, 0.5)`);
+        plot(bins[1], `rgba(${CHANNEL_COLORS[1]}, 0.5)`);
+        plot(bins[2], `rgba(${CHANNEL_COLORS[2]}, 0.5)`);
+        ctx.globalCompositeOperation = 'source-over';
+        plot(bins[3], 'rgba(255, 255, 255, 0.25)');
+    }
+
+    drawWaveform({ width, height, data }, parade) {
+        const { ctx, canvas } = this;
+        const out = ctx.createImageData(canvas.width, canvas.height);
+        const columns = parade ? 3 : 1;
+        const columnWidth = Math.floor(canvas.width / columns);
+        const counts = new Float32Array(canvas.width * canvas.height * 3);
+        const density = 12 * columnWidth * canvas.height / (width * height);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                const r = data[i] / 255;
+                const g = data[i + 1] / 255;
+                const b = data[i + 2] / 255;
+                const px = Math.floor((x / width) * columnWidth);
+
+                if (parade) {
+                    [r, g, b].forEach((v, c) => {
+                        const row = Math.round((1 - v) * (canvas.height - 1));
+                        counts[(row * canvas.width + c * columnWidth + px) * 3 + c] += density;
+                    });
+                } else {
+                    const luma = r * LUMA[0] + g * LUMA[1] + b * LUMA[2];
+                    const row = Math.round((1 - luma) * (canvas.height - 1));
+                    const idx = (row * canvas.width + px) * 3;
+                    counts[idx] += density;
+                    counts[idx + 1] += density;
+                    counts[idx + 2] += density;
+                }
+            }
+        }
+
+        for (let p = 0; p < canvas.width * canvas.height; p++) {
+            out.data[p * 4] = Math.min(255, counts[p * 3] * 255);
+            out.data[p * 4 + 1] = Math.min(255, counts[p * 3 + 1] * 255);
+            out.data[p * 4 + 2] = Math.min(255, counts[p * 3 + 2] * 255);
+            out.data[p * 4 + 3] = 255;
+        }
+        ctx.putImageData(out, 0, 0);
+
+        ctx.globalCompositeOperation = 'lighter';
+        this.drawGrid(4);
+        ctx.globalCompositeOperation = 'source-over';
+    }
+
+    drawVectorscope({ data }) {
+        const { ctx, canvas } = this;
+        const size = Math.min(canvas.width, canvas.height);
+        const cx = canvas.width / 2;
+        const cy = canvas.height / 2;
+        const scale = size * 0.9;
+        const out = ctx.createImageData(canvas.width, canvas.height);
+        const counts = new Float32Array(canvas.width * canvas.height);
+
+        for (let i = 0; i < data.length; i += 4) {
+            const [cb, cr] = chroma(data[i] / 255, data[i + 1] / 255, data[i + 2] / 255);
+            const x = Math.round(cx + cb * scale);
+            const y = Math.round(cy - cr * scale);
+            if (x < 0 || y < 0 || x >= canvas.width || y >= canvas.height) continue;
+            counts[y * canvas.width + x] += 0.25;
+        }
+
+        for (let p = 0; p < counts.length; p++) {
+            const v = Math.min(1, counts[p]);
+            out.data[p * 4] = v * 140;
+            out.data[p * 4 + 1] = v * 255;
+            out.data[p * 4 + 2] = v * 160;
+            out.data[p * 4 + 3] = 255;
+        }
+        ctx.putImageData(out, 0, 0);
+
+        // Graticule: outer ring, skin tone line and colour targets
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.arc(cx, cy, scale * 0.5, 0, Math.PI * 2);
+        ctx.moveTo(cx - scale * 0.5, cy);
+        ctx.lineTo(cx + scale * 0.5, cy);
+        ctx.moveTo(cx, cy - scale * 0.5);
+        ctx.lineTo(cx, cy + scale * 0.5);
+        ctx.stroke();
+
+        const skinAngle = (123 * Math.PI) / 180;
+        ctx.strokeStyle = 'rgba(255, 200, 150, 0.3)';
+        ctx.beginPath();
+        ctx.moveTo(cx, cy);
+        ctx.lineTo(cx + Math.cos(skinAngle) * scale * 0.5, cy - Math.sin(skinAngle) * scale * 0.5);
+        ctx.stroke();
+
+        ctx.font = '9px sans-serif';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+        VECTOR_TARGETS.forEach(({ label, rgb }) => {
+            const [cb, cr] = chroma(...rgb);
+            const x = cx + cb * scale;
+            const y = cy - cr * scale;
+            ctx.strokeRect(x - 4, y - 4, 8, 8);
+            ctx.fillText(label, x + 6, y + 3);
+        });
+    }
+
+    drawGrid(divisions) {
+        const { ctx, canvas } = this;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let i = 1; i < divisions; i++) {
+            const y = Math.round((i / divisions) * canvas.height) + 0.5;
+            ctx.moveTo(0, y);
+            ctx.lineTo(canvas.width, y);
+        }
+        ctx.stroke();
+    }
+}
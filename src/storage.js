@@ -0,0 +1,112 @@
+/**
+ * IndexedDB persistence for the library, photos and chain.
+ * LUT tables are stored as Float32Arrays and photos as their original
+ * blobs, both of which survive structured cloning unchanged.
+ */
+
+const DB_NAME = 'lut-merge';
+const DB_VERSION = 1;
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export class LUTStorage {
+    constructor(db) {
+        this.db = db;
+    }
+
+    static open() {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            db.createObjectStore('luts', { keyPath: 'id' });
+            db.createObjectStore('photos', { keyPath: 'id' });
+            db.createObjectStore('settings');
+        };
+        return promisify(request).then(db => new LUTStorage(db));
+    }
+
+    transaction(stores, mode, work) {
+        const tx = this.db.transaction(stores, mode);
+        const result = work(tx);
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    async loadAll() {
+        const tx = this.db.transaction(['luts', 'photos', 'settings'], 'readonly');
+        const [luts, photos, chain, exportSettings, currentPhotoId] = await Promise.all([
+            promisify(tx.objectStore('luts').getAll()),
+            promisify(tx.objectStore('photos').getAll()),
+            promisify(tx.objectStore('settings').get('activeChain')),
+            promisify(tx.objectStore('settings').get('exportSettings')),
+            promisify(tx.objectStore('settings').get('currentPhotoId'))
+        ]);
+
+        const byAdded = (a, b) => a.addedAt - b.addedAt;
+        return {
+            luts: luts.sort(byAdded),
+            photos: photos.sort(byAdded),
+            activeChain: chain || [],
+            exportSettings: exportSettings || null,
+            currentPhotoId: currentPhotoId || null
+        };
+    }
+
+    // lut: { id, name, data, inputSpace, outputSpace }
+    putLUT(lut) {
+        return this.transaction(['luts'], 'readwrite', tx => {
+            tx.objectStore('luts').put({
+                id: lut.id,
+                name: lut.name,
+                data: lut.data,
+                inputSpace: lut.inputSpace || null,
+                outputSpace: lut.outputSpace || null,
+                addedAt: lut.addedAt
+            });
+        });
+    }
+
+    deleteLUT(id) {
+        return this.transaction(['luts'], 'readwrite', tx => tx.objectStore('luts').delete(id));
+    }
+
+    // photo: { id, name, blob }
+    putPhoto(photo) {
+        return this.transaction(['photos'], 'readwrite', tx => {
+            tx.objectStore('photos').put({
+                id: photo.id,
+                name: photo.name,
+                blob: photo.blob,
+                addedAt: photo.addedAt,
+                develop: photo.develop || null
+            });
+        });
+    }
+
+    deletePhoto(id) {
+        return this.transaction(['photos'], 'readwrite', tx => tx.objectStore('photos').delete(id));
+    }
+
+    saveSettings(values) {
+        return this.transaction(['settings'], 'readwrite', tx => {
+            const store = tx.objectStore('settings');
+            Object.entries(values).forEach(([key, value]) => store.put(value, key));
+        });
+    }
+
+    clear() {
+        return this.transaction(['luts', 'photos', 'settings'], 'readwrite', tx => {
+            tx.objectStore('luts').clear();
+            tx.objectStore('photos').clear();
+            tx.objectStore('settings').clear();
+        });
+    }
+}
@@ -0,0 +1,162 @@
+/**
+ * TIFF container reading
+ * Shared by the TIFF and DNG decoders: the directory structure (including
+ * DNG sub-images) and the generic strip/tile compressions. Interpreting
+ * samples is left to the callers.
+ */
+import { inflate } from './zip';
+
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 13: 4 };
+
+export const TAGS = {
+    NEW_SUBFILE_TYPE: 254,
+    SUB_IFDS: 330
+};
+
+/**
+ * Parse the header and every image directory: the IFD0 chain plus any
+ * SubIFDs. Each directory is { tag: values[] } with values as numbers.
+ */
+export function readTIFF(buffer) {
+    const view = new DataView(buffer);
+    const order = view.getUint16(0);
+    if (order !== 0x4949 && order !== 0x4d4d) throw new Error('Invalid TIFF: bad byte order mark');
+    const little = order === 0x4949;
+    if (view.getUint16(2, little) !== 42) throw new Error('Invalid TIFF: bad magic number (BigTIFF is not supported)');
+
+    const readValue = (type, offset) => {
+        switch (type) {
+            case 3: return view.getUint16(offset, little);
+            case 4: case 13: return view.getUint32(offset, little);
+            case 5: return view.getUint32(offset, little) / view.getUint32(offset + 4, little);
+            case 6: return view.getInt8(offset);
+            case 8: return view.getInt16(offset, little);
+            case 9: return view.getInt32(offset, little);
+            case 10: return view.getInt32(offset, little) / view.getInt32(offset + 4, little);
+            case 11: return view.getFloat32(offset, little);
+            case 12: return view.getFloat64(offset, little);
+            default: return view.getUint8(offset);
+        }
+    };
+
+    const readIFD = (offset) => {
+        const tags = {};
+        const count = view.getUint16(offset, little);
+        for (let i = 0; i < count; i++) {
+            const entry = offset + 2 + i * 12;
+            const tag = view.getUint16(entry, little);
+            const type = view.getUint16(entry + 2, little);
+            const length = view.getUint32(entry + 4, little);
+            const size = TYPE_SIZES[type] || 1;
+            const start = size * length > 4 ? view.getUint32(entry + 8, little) : entry + 8;
+            tags[tag] = Array.from({ length }, (_, k) => readValue(type, start + k * size));
+        }
+        return { tags, next: view.getUint32(offset + 2 + count * 12, little) };
+    };
+
+    const ifds = [];
+    const visited = new Set();
+    const walk = (offset) => {
+        while (offset && !visited.has(offset) && offset < buffer.byteLength) {
+            visited.add(offset);
+            const { tags, next } = readIFD(offset);
+            ifds.push(tags);
+            (tags[TAGS.SUB_IFDS] || []).forEach(walk);
+            offset = next;
+        }
+    };
+    walk(view.getUint32(4, little));
+
+    return { view, little, ifds };
+}
+
+export function tagValue(tags, id, fallback) {
+    return tags[id] ? tags[id][0] : fallback;
+}
+
+// TIFF LZW: MSB-first codes of 9-12 bits that widen one code early. Every
+// dictionary entry is a run of bytes already written, so it is stored as an
+// offset and length into the output instead of a copy.
+function decodeLZW(input, capacity) {
+    let out = new Uint8Array(capacity);
+    let length = 0;
+    const reserve = (n) => {
+        if (length + n <= out.length) return;
+        const grown = new Uint8Array(Math.max(out.length * 2, length + n));
+        grown.set(out);
+        out = grown;
+    };
+
+    const starts = new Int32Array(4096);
+    const lengths = new Int32Array(4096);
+    let next = 258;
+    let width = 9;
+    let previous = -1;
+    let previousLength = 0;
+    let bitPos = 0;
+
+    while (bitPos + width <= input.length * 8) {
+        let code = 0;
+        for (let i = 0; i < width; i++, bitPos++) {
+            code = (code << 1) | ((input[bitPos >> 3] >> (7 - (bitPos & 7))) & 1);
+        }
+        if (code === 257) break;
+        if (code === 256) {
+            next = 258;
+            width = 9;
+            previous = -1;
+            continue;
+        }
+
+        const start = length;
+        if (code < 256) {
+            reserve(1);
+            out[length++] = code;
+        } else if (code < next) {
+            reserve(lengths[code]);
+            out.copyWithin(length, starts[code], starts[code] + lengths[code]);
+            length += lengths[code];
+        } else if (code === next && previous !== -1) {
+            // The entry being defined: previous string plus its own first byte
+            reserve(previousLength + 1);
+            out.copyWithin(length, previous, previous + previousLength);
+            length += previousLength;
+            out[length++] = out[start];
+        } else {
+            throw new Error('Invalid TIFF: corrupt LZW data');
+        }
+
+        if (previous !== -1 && next < 4096) {
+            starts[next] = previous;
+            lengths[next] = previousLength + 1;
+            next++;
+        }
+        previous = start;
+        previousLength = length - start;
+        if (next + 1 >= 1 << width && width < 12) width++;
+    }
+    return out.subarray(0, length);
+}
+
+function decodePackBits(input) {
+    const output = [];
+    for (let i = 0; i < input.length;) {
+        const n = (input[i++] << 24) >> 24;
+        if (n >= 0) {
+            for (let k = 0; k <= n; k++) output.push(input[i++]);
+        } else if (n !== -128) {
+            const value = input[i++];
+            for (let k = 0; k < 1 - n; k++) output.push(value);
+        }
+    }
+    return new Uint8Array(output);
+}
+
+// Strip or tile data for the generic compressions; capacity is the expected decoded size
+export async function decompress(compression, bytes, capacity) {
+    if (compression === 1) return bytes;
+    if (compression === 5) return decodeLZW(bytes, capacity);
+    if (compression === 8 || compression === 32946) return inflate(bytes);
+    if (compression === 32773) return decodePackBits(bytes);
+    throw new Error(`Unsupported TIFF compression ${compression}`);
+}
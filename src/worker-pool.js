@@ -0,0 +1,156 @@
+/**
+ * Worker pool
+ * Parses LUT files and bakes chains in module workers so large imports and
+ * merges leave the UI responsive. A bake is split into slabs of lattice
+ * planes spread over the workers; results come back as transferred
+ * Float32Arrays. Aborting a signal drops the queued tasks and rejects with
+ * its reason, and results still in flight are ignored.
+ */
+import { chainDomain, compositeLUT } from './lut-core';
+
+// LUT tables kept per worker between bakes, least recently used dropped first
+const MAX_CACHED_TABLES = 32;
+
+function defaultWorkerCount() {
+    const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+    return Math.max(1, Math.min(4, cores - 1));
+}
+
+export class WorkerPool {
+    constructor(count = defaultWorkerCount()) {
+        this.workers = Array.from({ length: count }, () => this.createWorker());
+        this.queue = [];
+        this.tableKeys = new WeakMap();
+        this.nextTableKey = 1;
+    }
+
+    createWorker() {
+        const worker = new Worker(new URL('./lut-worker.js', import.meta.url), { type: 'module' });
+        // Ids of the tables the worker holds, in the order they were last used
+        const entry = { worker, task: null, tables: new Map() };
+        worker.onmessage = ({ data }) => this.finish(entry, data);
+        worker.onerror = (e) => {
+            e.preventDefault();
+            this.finish(entry, { error: e.message || 'LUT worker failed' });
+        };
+        return entry;
+    }
+
+    // Queue a task; message(entry) builds what is posted once a worker is free
+    run(message, transfer = [], signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(signal.reason);
+                return;
+            }
+            const task = { message, transfer, resolve, reject, settled: false };
+            const onAbort = () => {
+                const index = this.queue.indexOf(task);
+                if (index !== -1) this.queue.splice(index, 1);
+                task.settled = true;
+                reject(signal.reason);
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+            task.cleanup = () => signal?.removeEventListener('abort', onAbort);
+            this.queue.push(task);
+            this.dispatch();
+        });
+    }
+
+    dispatch() {
+        for (const entry of this.workers) {
+            if (entry.task || this.queue.length === 0) continue;
+            const task = this.queue.shift();
+            entry.task = task;
+            entry.worker.postMessage(task.message(entry), task.transfer);
+        }
+    }
+
+    finish(entry, { result, error }) {
+        const task = entry.task;
+        entry.task = null;
+        if (task && !task.settled) {
+            task.cleanup();
+            if (error) task.reject(new Error(error));
+            else task.resolve(result);
+        }
+        this.dispatch();
+    }
+
+    // bytes: Uint8Array of the file, transferred to the worker. Resolves to the
+    // { lut, issues } report of validateLUT rather than rejecting on bad files.
+    parse(name, bytes, { signal = null } = {}) {
+        return this.run(() => ({ type: 'parse', name, bytes }), [bytes.buffer], signal);
+    }
+
+    /**
+     * Bake a chain of links (see lut-core.js) into one 3D LUT, like composeLUTs.
+     * onProgress receives the fraction of the cube done. Resolves to null for
+     * an empty chain.
+     */
+    async bake(links, size, settings, { domain = null, signal = null, onProgress = null } = {}) {
+        const bounds = chainDomain(links, settings, domain);
+        if (!bounds) return null;
+
+        const keys = links.map(link => this.tableKey(link.lut.data));
+        const payload = links.map(({ lut, ...link }, i) => ({
+            ...link,
+            lut: { inputSpace: lut.inputSpace, outputSpace: lut.outputSpace, table: keys[i] }
+        }));
+        const tableFor = key => links[keys.indexOf(key)].lut.data;
+
+        // Several slabs per worker keep them all busy and the progress moving
+        const step = Math.max(1, Math.ceil(size / (this.workers.length * 4)));
+        const data = new Float32Array(size * size * size * 4);
+        let done = 0;
+
+        const slabs = [];
+        for (let start = 0; start < size; start += step) {
+            const end = Math.min(size, start + step);
+            const message = (entry) => {
+                const { missing, evict } = this.syncTables(entry, keys);
+                return {
+                    type: 'bake',
+                    links: payload,
+                    tables: missing.map(key => [key, tableFor(key)]),
+                    evict,
+                    size,
+                    settings,
+                    domain: bounds,
+                    start,
+                    end
+                };
+            };
+            slabs.push(this.run(message, [], signal).then(slab => {
+                data.set(slab, start * size * size * 4);
+                done += end - start;
+                if (onProgress) onProgress(done / size);
+            }));
+        }
+        await Promise.all(slabs);
+
+        return compositeLUT(bounds, size, data);
+    }
+
+    tableKey(data) {
+        if (!this.tableKeys.has(data)) this.tableKeys.set(data, this.nextTableKey++);
+        return this.tableKeys.get(data);
+    }
+
+    // Mark the keys as used by the worker; returns the ones it still needs to
+    // be sent and the ones it should drop to stay within the cache size
+    syncTables(entry, keys) {
+        const missing = [];
+        for (const key of new Set(keys)) {
+            if (!entry.tables.delete(key)) missing.push(key);
+            entry.tables.set(key, true);
+        }
+        const evict = [];
+        for (const key of entry.tables.keys()) {
+            if (entry.tables.size - evict.length <= MAX_CACHED_TABLES) break;
+            if (!keys.includes(key)) evict.push(key);
+        }
+        evict.forEach(key => entry.tables.delete(key));
+        return { missing, evict };
+    }
+}
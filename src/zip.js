@@ -0,0 +1,119 @@
+/**
+ * Minimal ZIP writer
+ * Entries are stored without compression: exported photos are already
+ * compressed, so deflating them again would only cost time. The zlib
+ * stream helpers and CRC are shared with the image codecs.
+ */
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+export function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+export async function inflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+export async function deflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Without ZIP64 records, sizes and offsets are 32-bit and the entry count 16-bit
+const MAX_ZIP_BYTES = 0xffffffff;
+const MAX_ZIP_ENTRIES = 0xffff;
+
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+export class ZipWriter {
+    constructor() {
+        this.parts = [];
+        this.entries = [];
+        this.offset = 0;
+    }
+
+    // data: Uint8Array. Throws, leaving the archive as it was, when the entry
+    // would take it past what a ZIP without ZIP64 records can address.
+    add(name, data, date = new Date()) {
+        const nameBytes = new TextEncoder().encode(name);
+        // The central directory starts where the last entry ends, so that has to fit too
+        const end = this.offset + 30 + nameBytes.length + data.length;
+        if (end > MAX_ZIP_BYTES) {
+            throw new Error(`Adding ${name} would take the ZIP past 4 GiB, which this writer cannot store; export fewer photos at a time`);
+        }
+        if (this.entries.length >= MAX_ZIP_ENTRIES) {
+            throw new Error(`A ZIP holds at most ${MAX_ZIP_ENTRIES} files; export fewer photos at a time`);
+        }
+        const crc = crc32(data);
+        const { time, day } = dosDateTime(date);
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true);
+        header.setUint16(4, 20, true);
+        header.setUint16(6, 0x0800, true); // UTF-8 names
+        header.setUint16(8, 0, true); // stored
+        header.setUint16(10, time, true);
+        header.setUint16(12, day, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, data.length, true);
+        header.setUint32(22, data.length, true);
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, 0, true);
+
+        this.parts.push(header, nameBytes, data);
+        this.entries.push({ nameBytes, crc, size: data.length, time, day, offset: this.offset });
+        this.offset = end;
+    }
+
+    toBlob() {
+        const central = [];
+        let centralSize = 0;
+
+        for (const entry of this.entries) {
+            const record = new DataView(new ArrayBuffer(46));
+            record.setUint32(0, 0x02014b50, true);
+            record.setUint16(4, 20, true);
+            record.setUint16(6, 20, true);
+            record.setUint16(8, 0x0800, true);
+            record.setUint16(10, 0, true);
+            record.setUint16(12, entry.time, true);
+            record.setUint16(14, entry.day, true);
+            record.setUint32(16, entry.crc, true);
+            record.setUint32(20, entry.size, true);
+            record.setUint32(24, entry.size, true);
+            record.setUint16(28, entry.nameBytes.length, true);
+            record.setUint32(42, entry.offset, true);
+            central.push(record, entry.nameBytes);
+            centralSize += 46 + entry.nameBytes.length;
+        }
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, this.offset, true);
+
+        return new Blob([...this.parts, ...central, end], { type: 'application/zip' });
+    }
+}
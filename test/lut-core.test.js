@@ -0,0 +1,430 @@
+import { readFileSync } from 'node:fs';
+import { describe, it, expect } from 'vitest';
+import { parseCubeLUT } from '../src/lut-parser';
+import { sampleLUT, sample1DLUT, applyLUT, composeLUTs, chainDomain, bakePlanes, resampleLUT, exportChain, DEFAULT_SETTINGS, UNIT_DOMAIN } from '../src/lut-core';
+import { getTransfer } from '../src/color-spaces';
+import { createQualifier } from '../src/qualifiers';
+
+const fixture = name => parseCubeLUT(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+
+function identityCube(size, min = [0, 0, 0], max = [1, 1, 1]) {
+    const data = new Float32Array(size * size * size * 4);
+    for (let b = 0; b < size; b++) {
+        for (let g = 0; g < size; g++) {
+            for (let r = 0; r < size; r++) {
+                const i = (r + g * size + b * size * size) * 4;
+                [r, g, b].forEach((v, c) => {
+                    data[i + c] = min[c] + (v / (size - 1)) * (max[c] - min[c]);
+                });
+                data[i + 3] = 1;
+            }
+        }
+    }
+    return { type: '3D', size, min, max, data, shaper: null };
+}
+
+function identity1D(size, min = [0, 0, 0], max = [1, 1, 1]) {
+    const data = new Float32Array(size * 4);
+    for (let i = 0; i < size; i++) {
+        for (let c = 0; c < 3; c++) data[i * 4 + c] = min[c] + (i / (size - 1)) * (max[c] - min[c]);
+        data[i * 4 + 3] = 1;
+    }
+    return { type: '1D', size, min, max, data };
+}
+
+// Deterministic points spread over the cube, including its corners and faces
+function samplePoints(min = [0, 0, 0], max = [1, 1, 1]) {
+    const points = [[0, 0, 0], [1, 1, 1], [1, 0, 0], [0, 1, 1], [0.5, 0.5, 0.5], [1, 0.999, 0.001]];
+    let seed = 12345;
+    const random = () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+    for (let i = 0; i < 200; i++) points.push([random(), random(), random()]);
+    return points.map(p => p.map((t, c) => min[c] + t * (max[c] - min[c])));
+}
+
+const link = (data, intensity = 1) => ({ lut: { data }, intensity });
+
+describe('sampleLUT on an identity cube', () => {
+    it.each([
+        [2, 'trilinear'],
+        [17, 'trilinear'],
+        [2, 'tetrahedral'],
+        [33, 'tetrahedral']
+    ])('returns its input at size %i (%s)', (size, interpolation) => {
+        const lut = identityCube(size);
+        for (const [r, g, b] of samplePoints()) {
+            const out = sampleLUT(lut, r, g, b, interpolation);
+            expect(out[0]).toBeCloseTo(r, 5);
+            expect(out[1]).toBeCloseTo(g, 5);
+            expect(out[2]).toBeCloseTo(b, 5);
+        }
+    });
+
+    it('honours a non-unit input domain', () => {
+        const min = [-0.25, 0, -1];
+        const max = [1.5, 4, 2];
+        const lut = identityCube(9, min, max);
+        for (const [r, g, b] of samplePoints(min, max)) {
+            const out = sampleLUT(lut, r, g, b, 'tetrahedral');
+            expect(out[0]).toBeCloseTo(r, 5);
+            expect(out[1]).toBeCloseTo(g, 5);
+            expect(out[2]).toBeCloseTo(b, 5);
+        }
+    });
+
+    it('hits lattice points exactly', () => {
+        const lut = fixture('warm.cube');
+        const n = lut.size;
+        for (const [r, g, b] of [[0, 0, 0], [3, 5, 7], [8, 8, 8], [8, 0, 4]]) {
+            const i = (r + g * n + b * n * n) * 4;
+            const out = sampleLUT(lut, r / (n - 1), g / (n - 1), b / (n - 1), 'tetrahedral');
+            expect(out[0]).toBeCloseTo(lut.data[i], 6);
+            expect(out[1]).toBeCloseTo(lut.data[i + 1], 6);
+            expect(out[2]).toBeCloseTo(lut.data[i + 2], 6);
+        }
+    });
+
+    it('clamps input outside the domain to the edge of the cube', () => {
+        const lut = identityCube(5);
+        const out = sampleLUT(lut, -0.5, 1.5, 2, 'trilinear');
+        expect(out[0]).toBeCloseTo(0, 5);
+        expect(out[1]).toBeCloseTo(1, 3);
+        expect(out[2]).toBeCloseTo(1, 3);
+    });
+
+    it('keeps greys neutral with tetrahedral interpolation', () => {
+        const lut = fixture('shaper.cube');
+        for (let i = 0; i <= 20; i++) {
+            const v = i / 20;
+            const [r, g, b] = sampleLUT(lut, v, v, v, 'tetrahedral');
+            expect(g).toBeCloseTo(r, 6);
+            expect(b).toBeCloseTo(r, 6);
+        }
+    });
+});
+
+describe('sample1DLUT and applyLUT', () => {
+    it('returns its input through an identity 1D table', () => {
+        const lut = identity1D(7, [0, -1, 0], [1, 1, 10]);
+        for (const [r, g, b] of samplePoints([0, -1, 0], [1, 1, 10])) {
+            const out = sample1DLUT(lut, r, g, b);
+            expect(out[0]).toBeCloseTo(r, 5);
+            expect(out[1]).toBeCloseTo(g, 5);
+            expect(out[2]).toBeCloseTo(b, 5);
+        }
+    });
+
+    it('runs the shaper before the cube', () => {
+        const cube = identityCube(5);
+        const shaper = identity1D(16, [0, 0, 0], [4, 4, 4]);
+        // The shaper maps 0-4 onto the 0-1 cube
+        shaper.data = shaper.data.map((v, i) => (i % 4 === 3 ? 1 : v / 4));
+        const lut = { ...cube, shaper };
+        const out = applyLUT(lut, 2, 1, 0.5, 'tetrahedral');
+        expect(out[0]).toBeCloseTo(0.5, 5);
+        expect(out[1]).toBeCloseTo(0.25, 5);
+        expect(out[2]).toBeCloseTo(0.125, 5);
+    });
+
+    it('writes into the array it is given', () => {
+        const out = new Float64Array(3);
+        const lut = fixture('shaper.cube');
+        expect(applyLUT(lut, 0.3, 2, 3.5, 'tetrahedral', out)).toBe(out);
+        expect(Array.from(out)).toEqual(applyLUT(lut, 0.3, 2, 3.5, 'tetrahedral'));
+    });
+});
+
+describe('composeLUTs', () => {
+    it('returns null for an empty chain without colour conversions', () => {
+        expect(composeLUTs([], 17, DEFAULT_SETTINGS)).toBeNull();
+    });
+
+    it('bakes at the requested size', () => {
+        for (const size of [2, 17, 33, 65]) {
+            const merged = composeLUTs([link(fixture('warm.cube'))], size, DEFAULT_SETTINGS);
+            expect(merged.size).toBe(size);
+            expect(merged.data.length).toBe(size * size * size * 4);
+        }
+    });
+
+    it('takes the input domain from the first LUT', () => {
+        const merged = composeLUTs([link(fixture('domain.cube')), link(fixture('warm.cube'))], 9, DEFAULT_SETTINGS);
+        expect(merged.min).toEqual([-0.1, -0.1, -0.1]);
+        expect(merged.max).toEqual([1.5, 1.5, 1.5]);
+    });
+
+    it('takes the shaper range as the domain of a shaper LUT', () => {
+        const merged = composeLUTs([link(fixture('shaper.cube'))], 9, DEFAULT_SETTINGS);
+        expect(merged.min).toEqual([0, 0, 0]);
+        expect(merged.max).toEqual([4, 4, 4]);
+    });
+
+    it('shapes a linear input so highlights survive a conversion to log', () => {
+        const log = { data: identityCube(2), inputSpace: 'logc3', outputSpace: 'logc3' };
+        const settings = { ...DEFAULT_SETTINGS, inputSpace: 'linear-rec709', outputSpace: 'logc3' };
+        const merged = composeLUTs([{ lut: log, intensity: 1 }], 17, settings);
+        expect(merged.shaper).not.toBeNull();
+
+        const { encode } = getTransfer('logc3');
+        const [bright] = applyLUT(merged, 4, 4, 4, 'tetrahedral');
+        expect(bright).toBeCloseTo(encode(4), 2);
+        expect(bright).not.toBeCloseTo(applyLUT(merged, 1, 1, 1, 'tetrahedral')[0], 2);
+        expect(applyLUT(merged, 0.18, 0.18, 0.18, 'tetrahedral')[0]).toBeCloseTo(encode(0.18), 2);
+
+        // A given domain, as 3DL and Hald exports force, has no room for the shaper
+        expect(composeLUTs([{ lut: log, intensity: 1 }], 17, settings, UNIT_DOMAIN).shaper).toBeNull();
+    });
+
+    it('is the identity when every link is at zero intensity', () => {
+        const merged = composeLUTs([link(fixture('warm.cube'), 0), link(fixture('contrast.cube'), 0)], 9, DEFAULT_SETTINGS);
+        const identity = identityCube(9);
+        merged.data.forEach((v, i) => expect(v).toBeCloseTo(identity.data[i], 6));
+    });
+
+    it('reproduces a single LUT baked at its own size', () => {
+        const warm = fixture('warm.cube');
+        const merged = composeLUTs([link(warm)], warm.size, DEFAULT_SETTINGS);
+        merged.data.forEach((v, i) => expect(v).toBeCloseTo(warm.data[i], 6));
+    });
+
+    it('leaves an identity link without effect', () => {
+        const contrast = fixture('contrast.cube');
+        const alone = composeLUTs([link(contrast)], 17, DEFAULT_SETTINGS);
+        const withIdentity = composeLUTs([link(identityCube(5)), link(contrast), link(identityCube(9))], 17, DEFAULT_SETTINGS);
+        withIdentity.data.forEach((v, i) => expect(v).toBeCloseTo(alone.data[i], 5));
+    });
+});
+
+describe('per-link adjustments', () => {
+    // Over the unit domain, so linear input lands on the lattice without a shaper
+    const bake = (adjust, space = 'srgb', intensity = 1, size = 5) => composeLUTs(
+        [{ lut: { data: identityCube(size), inputSpace: space, outputSpace: space }, intensity, adjust }],
+        size,
+        { ...DEFAULT_SETTINGS, inputSpace: space, outputSpace: space },
+        UNIT_DOMAIN
+    );
+    const at = (lut, r, g, b) => applyLUT(lut, r, g, b, 'tetrahedral');
+    // sRGB encoding of 18% grey
+    const grey = 0.4613561;
+
+    it('leaves the bake untouched at their defaults', () => {
+        const plain = bake(undefined);
+        const defaults = bake({ exposure: 0, offset: 0, saturation: 1, contrast: 1, mix: [[1, 0, 0], [0, 1, 0], [0, 0, 1]] });
+        expect(Array.from(defaults.data)).toEqual(Array.from(plain.data));
+    });
+
+    it('applies exposure in linear light of the input space', () => {
+        const linear = bake({ exposure: 1 }, 'linear-rec709');
+        at(linear, 0.25, 0.125, 0.5).forEach((v, c) => expect(v).toBeCloseTo([0.5, 0.25, 1][c], 5));
+
+        // In sRGB one stop takes 18% grey to 36%, not to twice its code value
+        const srgb = bake({ exposure: 1 }, 'srgb', 1, 33);
+        expect(at(srgb, grey, grey, grey)[0]).toBeCloseTo(0.634, 2);
+    });
+
+    it('removes colour at zero saturation and swaps channels through the mix', () => {
+        const grey = at(bake({ saturation: 0 }), 1, 0, 0);
+        expect(grey[0]).toBeCloseTo(0.2126, 5);
+        expect(grey[1]).toBeCloseTo(0.2126, 5);
+
+        const swapped = at(bake({ mix: [[0, 0, 1], [0, 1, 0], [1, 0, 0]] }), 0.75, 0.5, 0.25);
+        swapped.forEach((v, c) => expect(v).toBeCloseTo([0.25, 0.5, 0.75][c], 5));
+    });
+
+    it('pivots contrast on middle grey and fades with the link intensity', () => {
+        const contrast = bake({ contrast: 2 }, 'srgb', 1, 33);
+        expect(at(contrast, grey, grey, grey)[0]).toBeCloseTo(grey, 3);
+
+        const half = bake({ offset: 0.1 }, 'srgb', 0.5);
+        expect(at(half, 0.5, 0.5, 0.5)[0]).toBeCloseTo(0.55, 5);
+    });
+
+    it('combines them in order: exposure, offset, LUT, saturation, contrast, mix', () => {
+        const adjust = { exposure: 1, offset: -0.05, saturation: 0.5, contrast: 1.5, mix: [[0.9, 0.1, 0], [0, 1, 0], [0, 0.05, 0.95]] };
+        // (0.45, 0.45, 0.95) after exposure and offset, then around luma 0.4861 and the 0.18 pivot
+        at(bake(adjust, 'linear-rec709'), 0.25, 0.25, 0.5).forEach((v, c) => expect(v).toBeCloseTo([0.612075, 0.612075, 0.968325][c], 5));
+    });
+});
+
+describe('blend modes', () => {
+    // A LUT that outputs one colour whatever comes in
+    const constant = (rgb) => {
+        const lut = identityCube(2);
+        for (let i = 0; i < lut.data.length; i += 4) lut.data.set(rgb, i);
+        return lut;
+    };
+    const blended = (blend, layer, base, intensity = 1) => {
+        const merged = composeLUTs([{ lut: { data: constant(layer) }, intensity, blend }], 9, DEFAULT_SETTINGS);
+        return applyLUT(merged, ...base, 'trilinear');
+    };
+    const luma = ([r, g, b]) => 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    const base = [0.75, 0.5, 0.25];
+    const layer = [0.2, 0.4, 0.9];
+
+    it.each([
+        ['normal', layer],
+        ['multiply', [0.15, 0.2, 0.225]],
+        ['screen', [0.8, 0.7, 0.925]],
+        ['overlay', [0.6, 0.4, 0.45]],
+        ['soft-light', [0.6375, 0.45, 0.45]]
+    ])('%s', (mode, expected) => {
+        blended(mode, layer, base).forEach((v, c) => expect(v).toBeCloseTo(expected[c], 5));
+    });
+
+    it('luminosity takes the tone of the LUT and keeps the colour of the input', () => {
+        const out = blended('luminosity', layer, base);
+        expect(luma(out)).toBeCloseTo(luma(layer), 5);
+        expect(out[0] - out[1]).toBeCloseTo(base[0] - base[1], 5);
+        expect(out[1] - out[2]).toBeCloseTo(base[1] - base[2], 5);
+    });
+
+    it('color takes the colour of the LUT and keeps the tone of the input', () => {
+        const out = blended('color', layer, base);
+        expect(luma(out)).toBeCloseTo(luma(base), 5);
+        expect(out[0] - out[1]).toBeCloseTo(layer[0] - layer[1], 5);
+        expect(out[1] - out[2]).toBeCloseTo(layer[1] - layer[2], 5);
+    });
+
+    it('blends each link over the signal the previous links produced', () => {
+        const links = [
+            { lut: { data: constant(layer) }, intensity: 0.5 },
+            { lut: { data: constant([0.5, 0.5, 0.5]) }, intensity: 1, blend: 'multiply' }
+        ];
+        const merged = composeLUTs(links, 9, DEFAULT_SETTINGS);
+        applyLUT(merged, ...base, 'trilinear').forEach((v, c) => expect(v).toBeCloseTo((base[c] + layer[c]) / 4, 5));
+    });
+
+    it('mixes the blend with the input by the link intensity', () => {
+        const out = blended('multiply', layer, base, 0.5);
+        out.forEach((v, c) => expect(v).toBeCloseTo((base[c] + base[c] * layer[c]) / 2, 5));
+        blended('screen', layer, base, 0).forEach((v, c) => expect(v).toBeCloseTo(base[c], 5));
+    });
+});
+
+describe('qualifiers', () => {
+    const grey = v => [v, v, v];
+
+    it('takes every colour by default', () => {
+        expect(createQualifier(undefined)).toBeNull();
+        expect(createQualifier({ softness: 0.3, hueCenter: 200 })).toBeNull();
+        // Inverting open ranges leaves the link on rather than turning it off
+        expect(createQualifier({ invert: true })).toBeNull();
+    });
+
+    it('weighs a luma range with a smooth falloff', () => {
+        const shadows = createQualifier({ lumaMax: 0.25, softness: 0.1 });
+        expect(shadows(...grey(0))).toBe(1);
+        expect(shadows(...grey(0.25))).toBe(1);
+        expect(shadows(...grey(0.3))).toBeCloseTo(0.5, 10);
+        expect(shadows(...grey(0.35))).toBe(0);
+        expect(createQualifier({ lumaMax: 0.25, softness: 0 })(...grey(0.26))).toBe(0);
+    });
+
+    it('weighs a hue range around the colour wheel and leaves greys out', () => {
+        const reds = createQualifier({ hueCenter: 0, hueWidth: 60, hueSoftness: 20 });
+        expect(reds(1, 0, 0)).toBe(1);
+        // 350 degrees is inside a range centred on 0
+        expect(reds(1, 0, 1 / 6)).toBe(1);
+        // 40 degrees is halfway through the falloff
+        expect(reds(1, 2 / 3, 0)).toBeCloseTo(0.5, 10);
+        expect(reds(0, 1, 0)).toBe(0);
+        expect(reds(...grey(0.5))).toBe(0);
+    });
+
+    it('weighs saturation and inverts', () => {
+        const vivid = createQualifier({ satMin: 0.5, softness: 0 });
+        expect(vivid(1, 0.2, 0.2)).toBe(1);
+        expect(vivid(1, 0.8, 0.8)).toBe(0);
+        const muted = createQualifier({ satMin: 0.5, softness: 0, invert: true });
+        expect(muted(1, 0.2, 0.2)).toBe(0);
+        expect(muted(1, 0.8, 0.8)).toBe(1);
+    });
+
+    it('weighs a link by the colour reaching it, not the source', () => {
+        const fill = (rgb) => {
+            const lut = identityCube(2);
+            for (let i = 0; i < lut.data.length; i += 4) lut.data.set(rgb, i);
+            return lut;
+        };
+        const shadows = { lumaMax: 0.25, softness: 0 };
+        const brighten = { lut: { data: fill([0.9, 0.9, 0.9]) }, intensity: 1 };
+        const darken = { lut: { data: fill([0, 0, 0]) }, intensity: 1, qualifier: shadows };
+        // The first link lifts everything out of the shadows, so the second never applies
+        const merged = composeLUTs([brighten, darken], 4, DEFAULT_SETTINGS);
+        applyLUT(merged, ...grey(0)).forEach(v => expect(v).toBeCloseTo(0.9, 6));
+
+        // Halfway through the hue falloff the link applies at half strength
+        const reds = { ...darken, qualifier: { hueCenter: 0, hueWidth: 60, hueSoftness: 20 } };
+        const half = composeLUTs([reds], 4, DEFAULT_SETTINGS);
+        applyLUT(half, 1, 2 / 3, 0).forEach((v, c) => expect(v).toBeCloseTo([0.5, 1 / 3, 0][c], 6));
+    });
+
+    it('applies a link only where its qualifier selects the input', () => {
+        const black = identityCube(2);
+        for (let i = 0; i < black.data.length; i += 4) black.data.set([0, 0, 0], i);
+        const links = [{ lut: { data: black }, intensity: 0.5, qualifier: { lumaMin: 0.75, softness: 0 } }];
+        const merged = composeLUTs(links, 9, DEFAULT_SETTINGS);
+        applyLUT(merged, ...grey(0.25)).forEach(v => expect(v).toBeCloseTo(0.25, 6));
+        applyLUT(merged, ...grey(1)).forEach(v => expect(v).toBeCloseTo(0.5, 6));
+    });
+});
+
+describe('bakePlanes', () => {
+    it('bakes slabs that concatenate to the full cube', () => {
+        const links = [link(fixture('shaper.cube')), link(fixture('warm.cube'), 0.6)];
+        const size = 9;
+        const whole = composeLUTs(links, size, DEFAULT_SETTINGS);
+        const domain = chainDomain(links, DEFAULT_SETTINGS);
+        const slabs = [[0, 4], [4, 5], [5, 9]].map(([start, end]) => bakePlanes(links, size, DEFAULT_SETTINGS, domain, start, end));
+
+        const joined = new Float32Array(whole.data.length);
+        let offset = 0;
+        for (const slab of slabs) {
+            joined.set(slab, offset);
+            offset += slab.length;
+        }
+        expect(offset).toBe(whole.data.length);
+        expect(Array.from(joined)).toEqual(Array.from(whole.data));
+    });
+});
+
+describe('resampleLUT', () => {
+    it('turns a 1D table into an equivalent cube', () => {
+        const contrast = fixture('contrast.cube');
+        const cube = resampleLUT(contrast, 17);
+        expect(cube.type).toBe('3D');
+        for (const [r, g, b] of samplePoints().slice(0, 40)) {
+            const expected = applyLUT(contrast, r, g, b);
+            const actual = applyLUT(cube, r, g, b, 'tetrahedral');
+            // A 17-point lattice follows the S-curve to within a few thousandths
+            actual.forEach((v, c) => expect(Math.abs(v - expected[c])).toBeLessThan(0.01));
+        }
+    });
+});
+
+// Golden files hold the exact bytes the web app and CLI export for each chain.
+// After an intentional change to baking or writing, regenerate them with
+// `npx vitest run -u` and review the diff.
+describe('golden merges', () => {
+    const warm = fixture('warm.cube');
+    const contrast = fixture('contrast.cube');
+    const shaper = fixture('shaper.cube');
+    const domain = fixture('domain.cube');
+
+    it.each([
+        ['warm-contrast-full', [link(warm), link(contrast)], {}],
+        ['warm-contrast-partial', [link(warm, 0.5), link(contrast, 0.25)], {}],
+        ['contrast-warm-trilinear', [link(contrast, 0.8), link(warm, 0.6)], { interpolation: 'trilinear' }],
+        ['shaper-warm', [link(shaper), link(warm, 0.75)], { size: 11 }],
+        ['domain-contrast', [link(domain), link(contrast, 0.4)], {}],
+        ['warm-logc3', [{ lut: { data: warm, inputSpace: 'srgb' }, intensity: 1 }], { inputSpace: 'logc3' }],
+        ['warm-contrast-3dl', [link(warm, 0.9), link(contrast, 0.5)], { format: '3dl' }]
+    ])('%s', async (name, links, overrides) => {
+        const settings = { ...DEFAULT_SETTINGS, size: 9, title: name, ...overrides };
+        const extension = settings.format === '3dl' ? '3dl' : 'cube';
+        const output = await exportChain(links, settings);
+        await expect(output).toMatchFileSnapshot(`./golden/${name}.${extension}`);
+    });
+});
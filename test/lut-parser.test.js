@@ -0,0 +1,300 @@
+import { readFileSync } from 'node:fs';
+import { describe, it, expect } from 'vitest';
+import { parseCubeLUT, validateCubeLUT, generateCubeLUT } from '../src/lut-parser';
+import { validateLUTBytes } from '../src/lut-formats';
+import { generateCSP } from '../src/formats/csp';
+import { generate3DL } from '../src/formats/threedl';
+import { applyLUT } from '../src/lut-core';
+
+const fixture = name => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+// Two-point 3D identity, red fastest
+const IDENTITY_2 = [
+    '0 0 0', '1 0 0', '0 1 0', '1 1 0',
+    '0 0 1', '1 0 1', '0 1 1', '1 1 1'
+];
+
+function cubeText(lines, eol = '\n') {
+    return lines.join(eol) + eol;
+}
+
+describe('parseCubeLUT', () => {
+    it('parses a 3D cube with title and default domain', () => {
+        const lut = parseCubeLUT(cubeText(['TITLE "Identity"', 'LUT_3D_SIZE 2', ...IDENTITY_2]));
+        expect(lut.type).toBe('3D');
+        expect(lut.title).toBe('Identity');
+        expect(lut.size).toBe(2);
+        expect(lut.min).toEqual([0, 0, 0]);
+        expect(lut.max).toEqual([1, 1, 1]);
+        expect(lut.shaper).toBeNull();
+        expect(Array.from(lut.data.slice(4, 8))).toEqual([1, 0, 0, 1]);
+        expect(Array.from(lut.data.slice(28, 32))).toEqual([1, 1, 1, 1]);
+    });
+
+    it('skips comments and blank lines anywhere in the file', () => {
+        const lut = parseCubeLUT(cubeText([
+            '# header comment',
+            '',
+            'LUT_3D_SIZE 2',
+            '   # indented comment',
+            ...IDENTITY_2.slice(0, 4),
+            '',
+            '# between rows',
+            ...IDENTITY_2.slice(4)
+        ]));
+        expect(lut.data.length).toBe(8 * 4);
+        expect(Array.from(lut.data.slice(16, 20))).toEqual([0, 0, 1, 1]);
+    });
+
+    it.each([
+        ['CRLF', '\r\n'],
+        ['CR', '\r']
+    ])('handles %s line endings', (_, eol) => {
+        const lut = parseCubeLUT(cubeText(['TITLE "Windows"', 'LUT_3D_SIZE 2', ...IDENTITY_2], eol));
+        expect(lut.title).toBe('Windows');
+        expect(lut.size).toBe(2);
+        expect(Array.from(lut.data)).toEqual(Array.from(parseCubeLUT(cubeText(['LUT_3D_SIZE 2', ...IDENTITY_2])).data));
+    });
+
+    it('ignores a byte order mark', () => {
+        const lut = parseCubeLUT('\uFEFF' + cubeText(['LUT_3D_SIZE 2', ...IDENTITY_2]));
+        expect(lut.size).toBe(2);
+    });
+
+    it('reads scientific notation', () => {
+        const rows = [...IDENTITY_2];
+        rows[1] = '1.0E+00 2.5e-3 -1.5e-02';
+        const lut = parseCubeLUT(cubeText(['LUT_3D_SIZE 2', ...rows]));
+        expect(lut.data[4]).toBe(1);
+        expect(lut.data[5]).toBeCloseTo(0.0025, 7);
+        expect(lut.data[6]).toBeCloseTo(-0.015, 7);
+    });
+
+    it('reads DOMAIN_MIN and DOMAIN_MAX', () => {
+        const lut = parseCubeLUT(fixture('domain.cube'));
+        expect(lut.min).toEqual([-0.1, -0.1, -0.1]);
+        expect(lut.max).toEqual([1.5, 1.5, 1.5]);
+    });
+
+    it('parses a 1D LUT', () => {
+        const lut = parseCubeLUT(fixture('contrast.cube'));
+        expect(lut.type).toBe('1D');
+        expect(lut.size).toBe(16);
+        expect(lut.data[0]).toBe(0);
+        expect(lut.data[15 * 4]).toBe(1);
+    });
+
+    it('splits a shaper + cube file into its two tables with their own ranges', () => {
+        const lut = parseCubeLUT(fixture('shaper.cube'));
+        expect(lut.type).toBe('3D');
+        expect(lut.size).toBe(5);
+        expect(lut.shaper.size).toBe(12);
+        expect(lut.shaper.min).toEqual([0, 0, 0]);
+        expect(lut.shaper.max).toEqual([4, 4, 4]);
+        expect(lut.min).toEqual([0, 0, 0]);
+        expect(lut.max).toEqual([1, 1, 1]);
+    });
+
+    it('rejects a file without a size', () => {
+        expect(() => parseCubeLUT(cubeText(IDENTITY_2))).toThrow(/LUT_3D_SIZE/);
+    });
+
+    it('rejects missing rows', () => {
+        expect(() => parseCubeLUT(cubeText(['LUT_3D_SIZE 2', ...IDENTITY_2.slice(1)])))
+            .toThrow('Data size mismatch: expected 8 entries, got 7');
+    });
+
+    it('rejects extra rows', () => {
+        expect(() => parseCubeLUT(cubeText(['LUT_3D_SIZE 2', ...IDENTITY_2, '0.5 0.5 0.5'])))
+            .toThrow('Data size mismatch: expected 8 entries, got 9');
+    });
+
+    it('rejects rows with missing values', () => {
+        const rows = [...IDENTITY_2];
+        rows[2] = '0 1';
+        expect(() => parseCubeLUT(cubeText(['LUT_3D_SIZE 2', ...rows]))).toThrow(/line 4: expected three numbers/);
+    });
+
+    it('rejects rows with extra or malformed values', () => {
+        const extra = [...IDENTITY_2];
+        extra[0] = '0 0 0 0';
+        expect(() => parseCubeLUT(cubeText(['LUT_3D_SIZE 2', ...extra]))).toThrow(/line 2/);
+
+        const malformed = [...IDENTITY_2];
+        malformed[0] = '0 0,5 0';
+        expect(() => parseCubeLUT(cubeText(['LUT_3D_SIZE 2', ...malformed]))).toThrow(/line 2/);
+    });
+});
+
+describe('validateCubeLUT', () => {
+    const validate = lines => validateCubeLUT(cubeText(lines));
+    const errors = ({ issues }) => issues.filter(issue => issue.severity === 'error');
+    const warnings = ({ issues }) => issues.filter(issue => issue.severity === 'warning');
+
+    it('reports nothing for a clean file', () => {
+        const result = validate(['TITLE "Identity"', 'LUT_3D_SIZE 2', ...IDENTITY_2]);
+        expect(result.issues).toEqual([]);
+        expect(result.lut.size).toBe(2);
+    });
+
+    it('collects every malformed row with its line number', () => {
+        const rows = [...IDENTITY_2];
+        rows[1] = '1 0';
+        rows[5] = '1 nan 1';
+        rows[6] = '0 Infinity 1';
+        const result = validate(['LUT_3D_SIZE 2', ...rows]);
+        expect(result.lut).toBeNull();
+        expect(errors(result).map(issue => issue.line)).toEqual([3, 7, 8]);
+        expect(errors(result)[1].message).toMatch(/finite/);
+    });
+
+    it('points at the first row past the declared count', () => {
+        const result = validate(['LUT_3D_SIZE 2', ...IDENTITY_2, '0.5 0.5 0.5', '0.2 0.2 0.2']);
+        expect(errors(result)).toEqual([
+            { severity: 'error', line: 10, message: 'Data size mismatch: expected 8 entries, got 10' }
+        ]);
+    });
+
+    it('rejects cubes larger than WebGL can hold before reading them', () => {
+        const result = validate(['LUT_3D_SIZE 300', ...IDENTITY_2]);
+        expect(errors(result)).toHaveLength(1);
+        expect(errors(result)[0]).toMatchObject({ line: 1, message: expect.stringMatching(/larger than 256/) });
+    });
+
+    it('rejects malformed sizes and domains', () => {
+        expect(errors(validate(['LUT_3D_SIZE two', ...IDENTITY_2]))[0].message).toMatch(/whole number/);
+        const domain = validate(['LUT_3D_SIZE 2', 'DOMAIN_MIN 0 0 0', 'DOMAIN_MAX 1 0 1', ...IDENTITY_2]);
+        expect(errors(domain)[0].message).toMatch(/DOMAIN_MIN should be below DOMAIN_MAX/);
+    });
+
+    it('warns about unknown keywords and repeated ones but still parses', () => {
+        const result = validate(['LUT_3D_SIZE 2', 'LUT_IN_VIDEO_RANGE', 'LUT_3D_SIZE 2', ...IDENTITY_2]);
+        expect(result.lut).not.toBeNull();
+        expect(warnings(result).map(issue => issue.line)).toEqual([2, 3]);
+        expect(warnings(result)[0].message).toMatch(/Unknown keyword LUT_IN_VIDEO_RANGE/);
+    });
+
+    it('warns once about output outside 0-1 and ignores rounding', () => {
+        const rows = [...IDENTITY_2];
+        rows[0] = '-0.0001 0 0';
+        rows[3] = '1.5 1 0';
+        rows[4] = '0 0 -0.25';
+        const result = validate(['LUT_3D_SIZE 2', ...rows]);
+        expect(warnings(result)).toHaveLength(1);
+        expect(warnings(result)[0]).toMatchObject({ line: 5, message: expect.stringMatching(/^2 output values outside 0-1, the table spans -0.25 to 1.5/) });
+    });
+});
+
+describe('validateLUTBytes', () => {
+    const bytes = text => new TextEncoder().encode(text);
+
+    it('notes a byte order mark and CRLF line endings without failing', async () => {
+        const result = await validateLUTBytes('a.cube', bytes('\uFEFF' + cubeText(['LUT_3D_SIZE 2', ...IDENTITY_2], '\r\n')));
+        expect(result.lut.size).toBe(2);
+        expect(result.issues.map(issue => [issue.severity, issue.message])).toEqual([
+            ['info', 'UTF-8 byte order mark ignored'],
+            ['info', 'CRLF line endings']
+        ]);
+    });
+
+    it('reports mixed line endings', async () => {
+        const result = await validateLUTBytes('a.cube', bytes('LUT_3D_SIZE 2\r\n' + cubeText(IDENTITY_2)));
+        expect(result.issues[0].message).toBe('Mixed CRLF, LF line endings');
+    });
+
+    it('turns parse failures of other formats into errors', async () => {
+        const result = await validateLUTBytes('a.3dl', bytes('0 512 1023\n0 0 0\n'));
+        expect(result.lut).toBeNull();
+        expect(result.issues[0]).toMatchObject({ severity: 'error', line: null, message: expect.stringMatching(/Invalid 3DL/) });
+    });
+
+    it.each([
+        ['csp', generateCSP],
+        ['3dl', generate3DL]
+    ])('reads .%s files with bare CR line endings', async (extension, generate) => {
+        const warm = parseCubeLUT(fixture('warm.cube'));
+        const text = generate(warm, 'Warm');
+        const lf = await validateLUTBytes(`warm.${extension}`, bytes(text));
+        const cr = await validateLUTBytes(`warm.${extension}`, bytes(text.replace(/\n/g, '\r')));
+        expect(cr.issues).toEqual([{ severity: 'info', line: null, message: 'CR line endings' }]);
+        expect(cr.lut.size).toBe(lf.lut.size);
+        expect(Array.from(cr.lut.data)).toEqual(Array.from(lf.lut.data));
+    });
+
+    it('checks the values of formats without their own validation', async () => {
+        const csp = name => validateLUTBytes(name, bytes(fixture(name)));
+
+        const clipping = await csp('clipping.csp');
+        expect(clipping.lut.size).toBe(2);
+        expect(clipping.issues).toEqual([
+            { severity: 'warning', line: null, message: '2 output values outside 0-1, the table spans -0.25 to 1.5; they may clip' }
+        ]);
+
+        const nonFinite = await csp('non-finite.csp');
+        expect(nonFinite.lut).toBeNull();
+        expect(nonFinite.issues).toEqual([
+            { severity: 'error', line: null, message: '2 values are not finite (NaN or infinity)' }
+        ]);
+    });
+
+    it('reports an unrecognised file', async () => {
+        const result = await validateLUTBytes('notes.txt', bytes('hello'));
+        expect(result.issues[0].message).toMatch(/Unrecognized LUT format/);
+    });
+});
+
+describe('generateCubeLUT', () => {
+    const roundTrip = lut => parseCubeLUT(generateCubeLUT(lut, lut.title));
+
+    it.each(['warm.cube', 'contrast.cube', 'shaper.cube', 'domain.cube'])('round-trips %s', (name) => {
+        const original = parseCubeLUT(fixture(name));
+        const copy = roundTrip(original);
+
+        expect(copy.type).toBe(original.type);
+        expect(copy.size).toBe(original.size);
+        expect(copy.min).toEqual(original.min);
+        expect(copy.max).toEqual(original.max);
+        expect(Array.from(copy.data)).toEqual(Array.from(original.data));
+        if (original.shaper) {
+            expect(copy.shaper.size).toBe(original.shaper.size);
+            expect(copy.shaper.min).toEqual(original.shaper.min);
+            expect(copy.shaper.max).toEqual(original.shaper.max);
+            expect(Array.from(copy.shaper.data)).toEqual(Array.from(original.shaper.data));
+        } else {
+            expect(copy.shaper ?? null).toBeNull();
+        }
+    });
+
+    it('keeps a per-channel shaper domain', () => {
+        const original = parseCubeLUT(fixture('shaper.cube'));
+        original.shaper.min = [0, -0.1, 0.05];
+        original.shaper.max = [4, 2, 1];
+        const copy = roundTrip(original);
+        expect(copy.shaper.min).toEqual(original.shaper.min);
+        expect(copy.shaper.max).toEqual(original.shaper.max);
+        expect(Array.from(copy.shaper.data)).toEqual(Array.from(original.shaper.data));
+    });
+
+    it('folds a per-channel cube domain into the shaper', () => {
+        const original = parseCubeLUT(fixture('shaper.cube'));
+        original.min = [0, 0.1, -0.2];
+        original.max = [1, 0.9, 1.5];
+        const copy = roundTrip(original);
+        expect(copy.min).toEqual([0, 0, 0]);
+        expect(copy.max).toEqual([1, 1, 1]);
+        for (const rgb of [[0.1, 0.5, 2], [3.2, 0.7, 1.1], [0, 4, 0.25]]) {
+            const expected = applyLUT(original, ...rgb);
+            applyLUT(copy, ...rgb).forEach((v, c) => expect(v).toBeCloseTo(expected[c], 5));
+        }
+    });
+
+    it('is stable: writing a parsed file again gives the same text', () => {
+        const text = generateCubeLUT(parseCubeLUT(fixture('warm.cube')), 'Warm');
+        expect(generateCubeLUT(parseCubeLUT(text), 'Warm')).toBe(text);
+    });
+
+    it('keeps values to six decimals', () => {
+        const lut = parseCubeLUT(cubeText(['LUT_3D_SIZE 2', '0.1234564 0 0', ...IDENTITY_2.slice(1)]));
+        expect(generateCubeLUT(lut)).toContain('\n0.123456 0.000000 0.000000\n');
+    });
+});
@@ -0,0 +1,56 @@
+import { readFileSync } from 'node:fs';
+import { describe, it, expect } from 'vitest';
+import { parseCubeLUT } from '../src/lut-parser';
+import { createRecipe, parseRecipe } from '../src/recipe';
+import { DEFAULT_SETTINGS } from '../src/lut-core';
+
+const fixture = name => parseCubeLUT(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+
+async function recipeJSON(item = {}, exportSettings = DEFAULT_SETTINGS) {
+    const lutLibrary = [{ id: 'a', name: 'Warm', data: fixture('warm.cube'), inputSpace: null, outputSpace: null }];
+    const activeChain = [{ id: 'c', lutId: 'a', intensity: 0.8, bypass: false, ...item }];
+    return JSON.parse(await createRecipe({ lutLibrary, activeChain, exportSettings }));
+}
+
+const parse = recipe => parseRecipe(JSON.stringify(recipe));
+
+describe('parseRecipe', () => {
+    it('reads back what createRecipe wrote', async () => {
+        const adjust = { exposure: 0.5, offset: 0, saturation: 1, contrast: 1, mix: [[1, 0, 0], [0, 1, 0], [0, 0, 1]] };
+        const { luts, chain, exportSettings } = await parse(await recipeJSON({ blend: 'screen', adjust }));
+        expect(luts).toHaveLength(1);
+        expect(Array.from(luts[0].data.data)).toEqual(Array.from(fixture('warm.cube').data));
+        expect(chain).toEqual([{ lut: luts[0].hash, intensity: 0.8, bypass: false, blend: 'screen', adjust }]);
+        expect(exportSettings).toEqual(DEFAULT_SETTINGS);
+    });
+
+    it('rejects a table whose data does not match its size', async () => {
+        const recipe = await recipeJSON();
+        recipe.luts[0].lut.data = recipe.luts[0].lut.data.slice(0, 64);
+        await expect(parse(recipe)).rejects.toThrow(/LUT "Warm": a size \d+ table holds \d+ values, got 12/);
+    });
+
+    it('rejects a LUT that no longer matches its hash', async () => {
+        const recipe = await recipeJSON();
+        recipe.luts[0].lut.max = [2, 2, 2];
+        await expect(parse(recipe)).rejects.toThrow(/does not match its hash/);
+    });
+
+    it('drops link and export settings the app could not have written', async () => {
+        const recipe = await recipeJSON({
+            intensity: 3,
+            blend: 'dissolve',
+            adjust: { exposure: 'loud', saturation: 0.5, mix: [[1, 0]] },
+            qualifier: { lumaMax: 0.25, hueWidth: null, invert: 'yes' },
+            extra: '<img src=x onerror=alert(1)>'
+        }, { ...DEFAULT_SETTINGS, size: 1000, format: 'psd', interpolation: 'cubic', outputSpace: 'logc3' });
+        const { chain: [link], exportSettings } = await parse(recipe);
+
+        expect(link.intensity).toBe(1);
+        expect(link).not.toHaveProperty('blend');
+        expect(link).not.toHaveProperty('extra');
+        expect(link.adjust).toMatchObject({ exposure: 0, saturation: 0.5, mix: [[1, 0, 0], [0, 1, 0], [0, 0, 1]] });
+        expect(link.qualifier).toMatchObject({ lumaMax: 0.25, hueWidth: 360, invert: false });
+        expect(exportSettings).toEqual({ title: DEFAULT_SETTINGS.title, inputSpace: 'srgb' });
+    });
+});